@@ -0,0 +1,47 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Test helpers ********************/
+/************** Browser scripts loaded into Node ********************/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * The viewer scripts are plain browser scripts sharing one global scope,
+ * loaded by the template in order. load_browser_scripts runs them the same
+ * way in a Node vm context, so their pure functions can be checked with
+ * node --test. Libraries the template loads from elsewhere (itk-wasm, vtk.js,
+ * jQuery) are not available; tests pass the few calls they need as globals.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'static', 'js');
+
+/**
+ * Runs the named scripts of static/js in a fresh context holding globals,
+ * and returns the top-level functions and constants listed in names.
+ */
+function load_browser_scripts(scripts, names, globals = {}) {
+  const context = vm.createContext({
+    console, TextDecoder, TextEncoder, URL, Blob, File, ...globals,
+  });
+  scripts.forEach((script) => {
+    const fileName = path.join(SCRIPT_DIR, script);
+    vm.runInContext(fs.readFileSync(fileName, 'utf8'), context, { filename: fileName });
+  });
+  // const and function declarations of a script are not context properties
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+/**
+ * A File the way the loader gets it from a picked folder.
+ */
+function test_file(relativePath, content = new Uint8Array(0)) {
+  const file = new File([content], relativePath.split('/').pop());
+  file.relativePath = relativePath;
+  return file;
+}
+
+module.exports = { load_browser_scripts, test_file };
@@ -0,0 +1,70 @@
+/*
+ * File format detection: by extension (format_from_extension), by magic
+ * bytes (format_from_magic) and both together (detect_file_format).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load_browser_scripts, test_file } = require('./browser_scripts');
+
+const { format_from_extension, format_from_magic, detect_file_format } = load_browser_scripts(
+  ['error_panel.js', 'image_loader.js'], ['format_from_extension', 'format_from_magic', 'detect_file_format']);
+
+/**
+ * Header of length bytes, zero apart from the text or bytes written at each
+ * offset.
+ */
+function header(length, writes) {
+  const bytes = new Uint8Array(length);
+  Object.entries(writes).forEach(([offset, value]) => {
+    bytes.set(typeof value === 'string' ? Array.from(value, (char) => char.charCodeAt(0)) : value, Number(offset));
+  });
+  return bytes;
+}
+
+function nifti_header(sizeofHdr, magicOffset, magic, littleEndian = true) {
+  const bytes = header(Math.max(352, magicOffset + 4), { [magicOffset]: magic });
+  new DataView(bytes.buffer).setInt32(0, sizeofHdr, littleEndian);
+  return bytes;
+}
+
+test('formats are recognised by extension, whatever its case', () => {
+  assert.strictEqual(format_from_extension('slice_001.DCM'), 'dicom');
+  assert.strictEqual(format_from_extension('stack.ome.tif'), 'tiff');
+  assert.strictEqual(format_from_extension('brain.nii.gz'), 'nifti');
+  assert.strictEqual(format_from_extension('volume.nhdr'), 'nrrd');
+  assert.strictEqual(format_from_extension('tomogram.rec'), 'mrc');
+  assert.strictEqual(format_from_extension('photo.JPEG'), 'jpeg');
+  assert.strictEqual(format_from_extension('notes.txt'), null);
+});
+
+test('formats are recognised by their magic bytes', () => {
+  const magic = (bytes) => format_from_magic(bytes.buffer);
+  assert.strictEqual(magic(header(132, { 128: 'DICM' })), 'dicom');
+  assert.strictEqual(magic(header(8, { 0: 'II*\0' })), 'tiff');
+  assert.strictEqual(magic(header(8, { 0: 'MM\0*' })), 'tiff');
+  assert.strictEqual(magic(header(16, { 0: 'II+\0' })), 'tiff');
+  assert.strictEqual(magic(header(16, { 0: 'NRRD0004\n' })), 'nrrd');
+  assert.strictEqual(magic(nifti_header(348, 344, 'n+1\0')), 'nifti');
+  assert.strictEqual(magic(nifti_header(348, 344, 'ni1\0', false)), 'nifti');
+  assert.strictEqual(magic(nifti_header(540, 4, 'n+2\0')), 'nifti');
+  assert.strictEqual(magic(header(224, { 208: 'MAP ' })), 'mrc');
+  assert.strictEqual(magic(header(8, { 0: [0x89, 0x50, 0x4e, 0x47] })), 'png');
+  assert.strictEqual(magic(header(4, { 0: [0xff, 0xd8, 0xff, 0xe0] })), 'jpeg');
+  assert.strictEqual(magic(header(4, { 0: 'BM' })), 'bmp');
+});
+
+test('unknown or truncated headers are not recognised', () => {
+  assert.strictEqual(format_from_magic(new ArrayBuffer(0)), null);
+  assert.strictEqual(format_from_magic(header(64, { 0: 'plain text' }).buffer), null);
+  // The NIfTI-1 magic is past the end of a header this short
+  assert.strictEqual(format_from_magic(nifti_header(348, 344, 'n+1\0').slice(0, 346).buffer), null);
+  assert.strictEqual(format_from_magic(nifti_header(348, 344, 'xxxx').buffer), null);
+});
+
+test('the magic bytes win over the extension, which is the fallback', async () => {
+  assert.strictEqual(await detect_file_format(test_file('series/IM0001', header(132, { 128: 'DICM' }))), 'dicom');
+  assert.strictEqual(await detect_file_format(test_file('mislabelled.png', header(8, { 0: 'II*\0' }))), 'tiff');
+  assert.strictEqual(await detect_file_format(test_file('brain.nii.gz', header(4, { 0: [0x1f, 0x8b] }))), 'nifti');
+  assert.strictEqual(await detect_file_format(test_file('readme.txt', header(16, { 0: 'hello' }))), 'unknown');
+});
@@ -0,0 +1,106 @@
+/*
+ * OME-XML of OME-TIFF files (parse_ome_xml): physical sizes brought to µm
+ * from their units, channel names and colors, and the IFD of each plane.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load_browser_scripts } = require('./browser_scripts');
+
+/**
+ * The part of the browser's DOMParser parse_ome_xml uses: elements nested by
+ * their tags, looked up by local name with attributes read as strings.
+ */
+class TestDOMParser {
+  parseFromString(xml) {
+    const root = { children: [] };
+    const open = [root];
+    const tagPattern = /<(\/?)(?:[\w-]+:)?([\w-]+)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*(\/?)>/g;
+    for (const [, closing, localName, attributes, selfClosing] of xml.matchAll(tagPattern)) {
+      if (closing) {
+        open.pop();
+        continue;
+      }
+      const element = new TestElement(localName, attributes);
+      open[open.length - 1].children.push(element);
+      if (!selfClosing) {
+        open.push(element);
+      }
+    }
+    return new TestElement('#document', '', root.children);
+  }
+}
+
+class TestElement {
+  constructor(localName, attributes, children = []) {
+    this.localName = localName;
+    this.children = children;
+    this.attributes = new Map(Array.from(attributes.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g), ([, name, value]) => [name, value]));
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  getElementsByTagNameNS(namespace, localName) {
+    return this.children.flatMap((child) => [
+      ...(child.localName === localName ? [child] : []),
+      ...child.getElementsByTagNameNS(namespace, localName),
+    ]);
+  }
+}
+
+const { parse_ome_xml } = load_browser_scripts(['error_panel.js', 'image_loader.js'], ['parse_ome_xml'],
+  { DOMParser: TestDOMParser });
+
+function ome_xml(pixelAttributes, content = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06">
+  <Image ID="Image:0" Name="cells">
+    <Pixels ID="Pixels:0" ${pixelAttributes} Type="uint8">${content}</Pixels>
+  </Image>
+</OME>`;
+}
+
+test('physical sizes are converted to µm from their units', () => {
+  const ome = parse_ome_xml(ome_xml(`DimensionOrder="XYZCT" SizeX="64" SizeY="32" SizeZ="5" SizeC="1" SizeT="1"
+    PhysicalSizeX="250" PhysicalSizeXUnit="nm" PhysicalSizeY="0.5" PhysicalSizeZ="0.002" PhysicalSizeZUnit="mm"`));
+  assert.deepStrictEqual({ ...ome.size }, { X: 64, Y: 32, Z: 5, C: 1, T: 1 });
+  assert.deepStrictEqual([...ome.spacing], [0.25, 0.5, 2]);
+});
+
+test('missing, zero and unknown-unit physical sizes are left to the user', () => {
+  const ome = parse_ome_xml(ome_xml(`SizeX="8" SizeY="8" SizeZ="2"
+    PhysicalSizeX="0" PhysicalSizeY="3" PhysicalSizeYUnit="parsec"`));
+  assert.deepStrictEqual([...ome.spacing], [null, null, null]);
+  assert.strictEqual(ome.dimensionOrder, 'XYZCT');
+  assert.deepStrictEqual({ ...ome.size }, { X: 8, Y: 8, Z: 2, C: 1, T: 1 });
+});
+
+test('channels keep their names and colors', () => {
+  const ome = parse_ome_xml(ome_xml('DimensionOrder="XYCZT" SizeX="4" SizeY="4" SizeZ="3" SizeC="2" SizeT="1"', `
+    <Channel ID="Channel:0:0" Name="DNA" Color="65535" SamplesPerPixel="1"/>
+    <Channel ID="Channel:0:1" Color="-16776961" SamplesPerPixel="1"/>`));
+  assert.deepStrictEqual(Array.from(ome.channels, (channel) => ({ ...channel })), [
+    { name: 'DNA', color: '#0000ff' },
+    { name: 'Channel:0:1', color: '#ff0000' },
+  ]);
+  // XYCZT: the channel varies fastest
+  assert.deepStrictEqual([ome.planeIndex(0, 1, 0), ome.planeIndex(1, 0, 0), ome.planeIndex(2, 1, 0)], [1, 2, 5]);
+});
+
+test('TiffData maps planes onto IFDs', () => {
+  const ome = parse_ome_xml(ome_xml('DimensionOrder="XYZCT" SizeX="4" SizeY="4" SizeZ="2" SizeC="2" SizeT="1"', `
+    <TiffData FirstC="1" IFD="0" PlaneCount="2"/>
+    <TiffData FirstC="0" IFD="2" PlaneCount="2"/>`));
+  assert.deepStrictEqual([ome.planeIndex(0, 0, 0), ome.planeIndex(1, 0, 0), ome.planeIndex(0, 1, 0), ome.planeIndex(1, 1, 0)],
+    [2, 3, 0, 1]);
+});
+
+test('descriptions without Pixels are not OME-XML', () => {
+  assert.strictEqual(parse_ome_xml('<ImageJ images="3"/>'), null);
+});
@@ -0,0 +1,157 @@
+/*
+ * Region-of-interest crop at load time (read_channel_parts): a DICOM series
+ * reads only the chosen slices, a single volume is cropped once decoded and
+ * an OME-TIFF is split into channels before its Z range is cropped.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load_browser_scripts, test_file } = require('./browser_scripts');
+
+const UINT8 = { dimension: 2, componentType: 'uint8', pixelType: 'Scalar', components: 1 };
+
+function itk_image(size, values) {
+  return {
+    imageType: { ...UINT8, dimension: size.length },
+    name: 'image',
+    origin: size.map(() => 0),
+    spacing: size.map(() => 1),
+    direction: new Float64Array(size.length === 3 ? [1, 0, 0, 0, 1, 0, 0, 0, 1] : [1, 0, 0, 1]),
+    size,
+    data: Uint8Array.from(values),
+  };
+}
+
+function filled(length, value) {
+  return Array.from({ length }, () => value);
+}
+
+/**
+ * Explicit VR little endian DICOM file holding only the tags the loader
+ * orders a series by.
+ */
+function dicom_file(name, instanceNumber, z) {
+  const element = (group, element, vr, text) => {
+    const value = text.length % 2 ? `${text} ` : text;
+    const bytes = new Uint8Array(8 + value.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, group, true);
+    view.setUint16(2, element, true);
+    bytes.set([vr.charCodeAt(0), vr.charCodeAt(1)], 4);
+    view.setUint16(6, value.length, true);
+    bytes.set(Array.from(value, (char) => char.charCodeAt(0)), 8);
+    return bytes;
+  };
+  const preamble = new Uint8Array(132);
+  preamble.set([0x44, 0x49, 0x43, 0x4d], 128); // "DICM"
+  return test_file(`series/${name}`, new Blob([
+    preamble,
+    element(0x0020, 0x0013, 'IS', String(instanceNumber)),
+    element(0x0020, 0x0032, 'DS', `0\\0\\${z}`),
+    element(0x0020, 0x0037, 'DS', '1\\0\\0\\0\\1\\0'),
+  ]));
+}
+
+function load_with_itk(itk) {
+  return load_browser_scripts(['error_panel.js', 'image_loader.js'], ['read_channel_parts'], { itk });
+}
+
+const worker = { terminate() {} };
+const noReport = () => {};
+
+test('a DICOM series is previewed in slice position order and only the chosen slices are read', async () => {
+  // Named against their positions, so name order is not slice order
+  const files = [dicom_file('a.dcm', 3, 20), dicom_file('b.dcm', 1, 0), dicom_file('c.dcm', 2, 10)];
+  const sliceValues = { 'b.dcm': 1, 'c.dcm': 2, 'a.dcm': 3 };
+  const previewed = [];
+  const seriesCalls = [];
+  const { read_channel_parts } = load_with_itk({
+    readImageArrayBuffer(unused, buffer, name) {
+      previewed.push(name);
+      return Promise.resolve({ image: itk_image([3, 2], filled(6, sliceValues[name])), webWorker: worker });
+    },
+    readImageDICOMArrayBufferSeries(buffers, singleSortedSeries, names) {
+      seriesCalls.push({ singleSortedSeries, names });
+      const values = names.flatMap((name) => filled(6, sliceValues[name]));
+      return Promise.resolve({
+        image: itk_image([3, 2, names.length], values),
+        webWorkerPool: { terminateWorkers() {} },
+      });
+    },
+  });
+
+  let previewDepth = null;
+  const region = { x: [1, 2], y: [0, 1], z: [1, 2] };
+  const read = await read_channel_parts({ format: 'dicom', files, ome: null, timepoints: null }, 'series', 1,
+    noReport, null, (makePreview) => makePreview().then((preview) => {
+      previewDepth = preview.depth;
+      return region;
+    }));
+
+  assert.deepStrictEqual(previewed, ['b.dcm', 'c.dcm', 'a.dcm']);
+  assert.strictEqual(previewDepth, 3);
+  assert.deepStrictEqual(seriesCalls.map(({ singleSortedSeries, names }) => ({ singleSortedSeries, names: [...names] })),
+    [{ singleSortedSeries: true, names: ['c.dcm', 'a.dcm'] }]);
+
+  const [{ image }] = read.parts;
+  assert.deepStrictEqual([...image.size], [2, 2, 2]);
+  assert.deepStrictEqual(Array.from(image.data), [...filled(4, 2), ...filled(4, 3)]);
+  // The origin of the read slices is already that of the first of them
+  assert.deepStrictEqual([...image.cropStart], [1, 0, 0]);
+  assert.deepStrictEqual(read.region, region);
+});
+
+test('a single volume is cropped to the region once decoded', async () => {
+  const { read_channel_parts } = load_with_itk({
+    readImageArrayBuffer: () => Promise.resolve({
+      image: itk_image([4, 3, 2], Array.from({ length: 24 }, (unused, idx) => idx)),
+      webWorker: worker,
+    }),
+  });
+
+  let previewDepth = null;
+  const read = await read_channel_parts({ format: 'nrrd', files: [test_file('volume.nrrd')], ome: null, timepoints: null },
+    'volume', 1, noReport, null, (makePreview) => makePreview().then((preview) => {
+      previewDepth = preview.depth;
+      return { x: [1, 2], y: [1, 2], z: [1, 1] };
+    }));
+
+  assert.strictEqual(previewDepth, 2);
+  const [{ image, frames }] = read.parts;
+  assert.strictEqual(frames[0], image);
+  assert.deepStrictEqual([...image.size], [2, 2, 1]);
+  assert.deepStrictEqual(Array.from(image.data), [17, 18, 21, 22]);
+  assert.deepStrictEqual([...image.cropStart], [1, 1, 1]);
+});
+
+test('an OME-TIFF is split into channels before its Z range is cropped', async () => {
+  // Six pages of 2 × 1 pixels holding Z = 3 planes of C = 2 channels (XYCZT),
+  // each pixel being 10 × its page + x
+  const pages = Array.from({ length: 6 }, (unused, page) => [page * 10, page * 10 + 1]).flat();
+  const { read_channel_parts } = load_with_itk({
+    readImageArrayBuffer: () => Promise.resolve({ image: itk_image([2, 1, 6], pages), webWorker: worker }),
+  });
+  const ome = {
+    dimensionOrder: 'XYCZT',
+    size: { X: 2, Y: 1, Z: 3, C: 2, T: 1 },
+    spacing: [null, null, null],
+    channels: [{ name: 'DNA', color: '#0000ff' }, { name: 'Actin', color: '#00ff00' }],
+    planeIndex: (z, c) => z * 2 + c,
+  };
+
+  let previewDepth = null;
+  const read = await read_channel_parts({ format: 'tiff', files: [test_file('cells.ome.tif')], ome, timepoints: null },
+    'cells', 1, noReport, null, (makePreview) => makePreview().then((preview) => {
+      previewDepth = preview.depth;
+      return { x: [0, 1], y: [0, 0], z: [1, 2] };
+    }));
+
+  assert.strictEqual(previewDepth, 3);
+  assert.deepStrictEqual(read.parts.map((part) => part.name), ['DNA', 'Actin']);
+  assert.deepStrictEqual(read.parts.map((part) => Array.from(part.image.data)), [[20, 21, 40, 41], [30, 31, 50, 51]]);
+  read.parts.forEach((part) => {
+    assert.strictEqual(part.frames[0], part.image);
+    assert.deepStrictEqual([...part.image.size], [2, 1, 2]);
+    assert.deepStrictEqual([...part.image.cropStart], [0, 0, 1]);
+  });
+});
@@ -0,0 +1,68 @@
+/*
+ * Natural order and validation of slice series (order_series_files) and of
+ * timepoint folders (split_timepoint_folders).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load_browser_scripts, test_file } = require('./browser_scripts');
+
+const {
+  natural_compare, slice_file_index, order_series_files, split_timepoint_folders,
+} = load_browser_scripts(['error_panel.js', 'image_loader.js'],
+  ['natural_compare', 'slice_file_index', 'order_series_files', 'split_timepoint_folders']);
+
+// Arrays made in the scripts' context have their own prototype, so copy them
+const paths = (files) => Array.from(files, (file) => file.relativePath);
+
+test('slice names are compared by the value of their numbers', () => {
+  assert.deepStrictEqual(['z10.tif', 'z2.tif', 'z1.tif'].sort(natural_compare), ['z1.tif', 'z2.tif', 'z10.tif']);
+  assert.deepStrictEqual(['b/1.tif', 'a/2.tif'].sort(natural_compare), ['a/2.tif', 'b/1.tif']);
+});
+
+test('the slice number is the last number of the name, without the extension', () => {
+  assert.strictEqual(slice_file_index(test_file('stack_t1_z012.tif')), 12);
+  assert.strictEqual(slice_file_index(test_file('img7_final.png')), 7);
+  assert.strictEqual(slice_file_index(test_file('scan.jpeg')), null);
+});
+
+test('a series is put in natural order of its paths', () => {
+  const series = ['c/slice3.tif', 'c/slice10.tif', 'c/slice1.tif', 'c/slice2.tif', 'c/slice4.tif', 'c/slice5.tif',
+    'c/slice6.tif', 'c/slice7.tif', 'c/slice8.tif', 'c/slice9.tif'].map((path) => test_file(path));
+  assert.deepStrictEqual(paths(order_series_files(series, 'tiff', 'c')),
+    Array.from({ length: 10 }, (unused, idx) => `c/slice${idx + 1}.tif`));
+});
+
+test('series numbered every n slices are accepted', () => {
+  const files = ['s/z20.png', 's/z0.png', 's/z10.png'].map((path) => test_file(path));
+  assert.deepStrictEqual(paths(order_series_files(files, 'png', 's')), ['s/z0.png', 's/z10.png', 's/z20.png']);
+});
+
+test('missing and duplicated slices are listed in a series-order error', () => {
+  const missing = ['s/1.tif', 's/2.tif', 's/5.tif'].map((path) => test_file(path));
+  assert.throws(() => order_series_files(missing, 'tiff', 's'), (error) => {
+    assert.strictEqual(error.type, 'series-order');
+    assert.deepStrictEqual([...error.details], ['Slices 3-4 missing between s/2.tif and s/5.tif']);
+    return true;
+  });
+
+  const duplicated = ['s/2.tif', 's/01.tif', 's/1.tif'].map((path) => test_file(path));
+  assert.throws(() => order_series_files(duplicated, 'tiff', 's'), (error) => {
+    assert.deepStrictEqual([...error.details], ['Slice 1 is held by 2 files: s/01.tif, s/1.tif']);
+    return true;
+  });
+});
+
+test('unnumbered and non-slice series are only sorted', () => {
+  const unnumbered = ['s/b.tif', 's/a.tif'].map((path) => test_file(path));
+  assert.deepStrictEqual(paths(order_series_files(unnumbered, 'tiff', 's')), ['s/a.tif', 's/b.tif']);
+  const dicom = ['s/3.dcm', 's/1.dcm'].map((path) => test_file(path));
+  assert.deepStrictEqual(paths(order_series_files(dicom, 'dicom', 's')), ['s/1.dcm', 's/3.dcm']);
+});
+
+test('timepoint folders are split in natural order', () => {
+  const files = ['ch/t10/1.tif', 'ch/t2/1.tif', 'ch/t2/2.tif', 'ch/t10/2.tif'].map((path) => test_file(path));
+  assert.deepStrictEqual(Array.from(split_timepoint_folders(files), paths),
+    [['ch/t2/1.tif', 'ch/t2/2.tif'], ['ch/t10/1.tif', 'ch/t10/2.tif']]);
+  assert.strictEqual(split_timepoint_folders(['ch/a/1.tif', 'ch/b/1.tif'].map((path) => test_file(path))), null);
+});
@@ -0,0 +1,173 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Colormaps ***********************/
+/************** Lookup tables and colour bars of the viewers ********/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * Colormaps are lists of [t, colour] stops over t in 0..1, stretched over
+ * an intensity range into the colorPoints of a transfer function (see
+ * transfer_function_editor.js). The volume viewer stretches them over the
+ * intensity range of a channel; the tri-planar viewer over its colour
+ * window, so the window and level sliders keep working; the MPR viewer over
+ * the intensity range of the resliced channel. The empty name keeps the
+ * look each viewer had without a colormap.
+*/
+
+/**********************************************************************/
+/***************** Colormaps ******************************************/
+/**********************************************************************/
+
+const COLORMAPS = {
+  gray: { label: 'Grayscale', stops: [[0, '#000000'], [1, '#ffffff']] },
+  inverted_gray: { label: 'Inverted gray', stops: [[0, '#ffffff'], [1, '#000000']] },
+  fire: {
+    label: 'Fire',
+    stops: [[0, '#000000'], [0.13, '#000073'], [0.25, '#5900b3'], [0.38, '#a6008c'], [0.5, '#d91a40'],
+      [0.63, '#ff5900'], [0.75, '#ff9900'], [0.88, '#ffd91a'], [1, '#ffffff']],
+  },
+  viridis: {
+    label: 'Viridis',
+    stops: [[0, '#440154'], [0.125, '#472d7b'], [0.25, '#3b528b'], [0.375, '#2c728e'], [0.5, '#21918c'],
+      [0.625, '#28ae80'], [0.75, '#5ec962'], [0.875, '#addc30'], [1, '#fde725']],
+  },
+  magma: {
+    label: 'Magma',
+    stops: [[0, '#000004'], [0.125, '#1c1044'], [0.25, '#4f127b'], [0.375, '#812581'], [0.5, '#b5367a'],
+      [0.625, '#e55064'], [0.75, '#fb8761'], [0.875, '#fec287'], [1, '#fcfdbf']],
+  },
+  ice: {
+    label: 'Ice',
+    stops: [[0, '#000000'], [0.25, '#002673'], [0.5, '#0073d9'], [0.75, '#40ccff'], [1, '#d9ffff']],
+  },
+  // Grayscale with the lowest intensity in blue and the highest in red, to
+  // spot under- and overexposed voxels
+  hilo: { label: 'HiLo', stops: null },
+  // One distinct colour per integer label, label 0 stays black
+  glasbey: { label: 'Glasbey (labels)', stops: null },
+  red: { label: 'Red', stops: [[0, '#000000'], [1, '#ff0000']] },
+  green: { label: 'Green', stops: [[0, '#000000'], [1, '#00ff00']] },
+  blue: { label: 'Blue', stops: [[0, '#000000'], [1, '#0000ff']] },
+  cyan: { label: 'Cyan', stops: [[0, '#000000'], [1, '#00ffff']] },
+  magenta: { label: 'Magenta', stops: [[0, '#000000'], [1, '#ff00ff']] },
+  yellow: { label: 'Yellow', stops: [[0, '#000000'], [1, '#ffff00']] },
+};
+
+const GLASBEY_COLORS = [
+  '#0000ff', '#ff0000', '#00ff00', '#ff00b6', '#005300', '#ffd300', '#009fff', '#9a4d42', '#00ffbe', '#783fc1',
+  '#1f9698', '#ffacfd', '#b1cc71', '#f1085c', '#fe8f42', '#dd00ff', '#720055', '#766c95', '#02ad24', '#c8ff00',
+  '#886c00', '#ffb79f', '#858567', '#a10300', '#14f9ff', '#00479e', '#dc5e93', '#93d4ff', '#004cff',
+];
+
+// Wider label ranges share the colours out over this many bins
+const MAX_LABEL_COLORS = 4096;
+
+function label_color_points(min, max) {
+  const labels = Math.floor(max) - Math.ceil(min) + 1;
+  const binned = labels > MAX_LABEL_COLORS;
+  const step = binned ? (max - min) / MAX_LABEL_COLORS : 1;
+  const first = binned ? min : Math.ceil(min);
+  const count = Math.min(Math.max(labels, 1), MAX_LABEL_COLORS);
+  return Array.from({ length: count }).flatMap((unused, k) => {
+    const value = first + k * step;
+    const index = binned ? k : Math.abs(value) - 1;
+    const rgb = !binned && value === 0 ? [0, 0, 0] : hex_to_rgb(GLASBEY_COLORS[index % GLASBEY_COLORS.length]);
+    return [[value - 0.49 * step, ...rgb], [value + 0.49 * step, ...rgb]];
+  });
+}
+
+/**
+ * The colorPoints of colormap name stretched over range. The empty name
+ * gives the single pickedRgb colour the volume viewer starts with.
+ */
+function colormap_points(name, range, pickedRgb = [1, 1, 1]) {
+  const [min, max] = range;
+  const span = max > min ? max - min : 1;
+  if (!name) {
+    return [[min, ...pickedRgb]];
+  }
+  if (name === 'glasbey') {
+    return label_color_points(min, max);
+  }
+  if (name === 'hilo') {
+    const step = span / 256;
+    return [[min, 0, 0, 1], [min + step, 0, 0, 0], [max - step, 1, 1, 1], [max, 1, 0, 0]];
+  }
+  return COLORMAPS[name].stops.map(([t, hex]) => [min + t * span, ...hex_to_rgb(hex)]);
+}
+
+/**
+ * Fills a colormap select; emptyLabel names the look without a colormap.
+ */
+function fill_colormap_select(select, emptyLabel) {
+  $(select).empty().append($('<option>').attr('value', '').text(emptyLabel));
+  Object.entries(COLORMAPS).forEach(([name, { label }]) => {
+    $(select).append($('<option>').attr('value', name).text(label));
+  });
+}
+
+/**
+ * Colours the image slice actors with colormap name over range, or gives
+ * them back their colour window and level for the empty name.
+ */
+function apply_slice_colormap(actors, name, range) {
+  actors.forEach((actor) => {
+    if (!name) {
+      actor.getProperty().setRGBTransferFunction(0, null);
+      return;
+    }
+    // The image mapper maps the range of the function, not the window
+    const colorFunction = vtk.Rendering.Core.vtkColorTransferFunction.newInstance();
+    colormap_points(name, range).forEach(([value, r, g, b]) => colorFunction.addRGBPoint(value, r, g, b));
+    actor.getProperty().setRGBTransferFunction(0, colorFunction);
+  });
+}
+
+/**********************************************************************/
+/***************** Colour bars ****************************************/
+/**********************************************************************/
+
+const COLORBAR_WIDTH = 160;
+const COLORBAR_HEIGHT = 12;
+
+function format_intensity(value) {
+  return String(Number(value.toPrecision(4)));
+}
+
+/**
+ * Shows (or updates) the colour bar of key over the top right corner of
+ * the canvas, with title and the intensities at both ends of range.
+ */
+function show_colorbar(key, title, colorPoints, range) {
+  let legend = $('#colorbar_legends .colorbar_legend').filter((idx, element) => element.dataset.key === key);
+  if (!legend.length) {
+    legend = $(`
+      <div class="colorbar_legend">
+        <p class="colorbar_title"></p>
+        <canvas></canvas>
+        <p class="colorbar_range"><span></span><span></span></p>
+      </div>`).attr('data-key', key).appendTo('#colorbar_legends');
+  }
+  legend.find('.colorbar_title').text(title);
+  legend.find('.colorbar_range span').first().text(format_intensity(range[0]));
+  legend.find('.colorbar_range span').last().text(format_intensity(range[1]));
+
+  const canvas = legend.find('canvas')[0];
+  canvas.width = COLORBAR_WIDTH;
+  canvas.height = COLORBAR_HEIGHT;
+  const context = canvas.getContext('2d');
+  const span = range[1] > range[0] ? range[1] - range[0] : 1;
+  for (let x = 0; x < COLORBAR_WIDTH; x++) {
+    context.fillStyle = rgb_to_hex(color_at(colorPoints, range[0] + ((x + 0.5) / COLORBAR_WIDTH) * span));
+    context.fillRect(x, 0, 1, COLORBAR_HEIGHT);
+  }
+}
+
+function hide_colorbar(key) {
+  $('#colorbar_legends .colorbar_legend').filter((idx, element) => element.dataset.key === key).remove();
+}
+
+function clear_colorbars() {
+  $('#colorbar_legends').empty();
+}
@@ -0,0 +1,211 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Error Panel *********************/
+/************** Typed errors of the loader and the viewers **********/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * The loader and the viewers reject with errors made by viewer_error, whose
+ * type tells the user what went wrong and what to try. Any other error that
+ * reaches show_error_panel (a failed promise nobody caught, a script error)
+ * is typed from its message by classify_error.
+*/
+
+/**********************************************************************/
+/***************** Typed errors ***************************************/
+/**********************************************************************/
+
+const VIEWER_ERROR_TYPES = {
+  'unsupported-format': {
+    title: 'Unsupported file format',
+    hint: 'Load DICOM, TIFF, NIfTI, NRRD, MRC, MetaImage, MGH, PNG, JPEG, BMP or OME-Zarr images.',
+  },
+  'invalid-input': {
+    title: 'The picked files cannot be loaded',
+    hint: 'Pick one folder (or file) per channel, holding the images of that channel only.',
+  },
+  'series-order': {
+    title: 'Incomplete image series',
+    hint: 'Rename, add or remove the files listed below and load the channel again.',
+  },
+  'dimension-mismatch': {
+    title: 'Dimension mismatch',
+    hint: 'Every slice and timepoint of a channel must have the same size and pixel type.',
+  },
+  'invalid-preset': {
+    title: 'Invalid preset',
+    hint: 'Import preset files exported from this viewer, and give saved presets names of their own.',
+  },
+  'out-of-memory': {
+    title: 'Out of memory',
+    hint: 'Close other tabs, crop a region before loading or downsample the volumes, then try again.',
+  },
+  'webgl-context-lost': {
+    title: 'WebGL context lost',
+    hint: 'The graphics card dropped the 3D view. It is drawn again with the same settings as soon as '
+      + 'the graphics card is available; reload the page if it stays blank.',
+  },
+  unexpected: {
+    title: 'Something went wrong',
+    hint: 'Copy the diagnostics below when reporting the problem.',
+  },
+};
+
+/**
+ * Makes an Error of one of VIEWER_ERROR_TYPES; details is a list of lines
+ * (file names, sizes) shown below the message.
+ */
+function viewer_error(type, message, details = []) {
+  const error = new Error(message);
+  error.name = 'ViewerError';
+  error.type = type;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Returns the type of any error: the one it was made with, or a guess from
+ * the way browsers and itk-wasm report running out of memory.
+ */
+function classify_error(error) {
+  if (error && VIEWER_ERROR_TYPES[error.type]) {
+    return error.type;
+  }
+  const message = error && error.message ? error.message : String(error);
+  if ((error && error.name === 'RangeError' && /allocat|array buffer|array length|memory/i.test(message))
+      || /out of memory|cannot enlarge memory|\(oom\)/i.test(message)) {
+    return 'out-of-memory';
+  }
+  return 'unexpected';
+}
+
+/**********************************************************************/
+/***************** Diagnostics ****************************************/
+/**********************************************************************/
+
+function webgl_diagnostics() {
+  const gl = document.createElement('canvas').getContext('webgl2');
+  if (!gl) {
+    return ['WebGL2: not available'];
+  }
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+  const lines = [
+    `WebGL2 renderer: ${debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER)}`,
+    `MAX_3D_TEXTURE_SIZE: ${gl.getParameter(gl.MAX_3D_TEXTURE_SIZE)}`,
+  ];
+  if (gl.getExtension('WEBGL_lose_context')) {
+    gl.getExtension('WEBGL_lose_context').loseContext();
+  }
+  return lines;
+}
+
+/**
+ * Plain text report of an error and of the browser it happened in, for bug
+ * reports.
+ */
+function error_diagnostics(error, type) {
+  const lines = [
+    `Time: ${new Date().toISOString()}`,
+    `Type: ${type}`,
+    `Error: ${error && error.name ? error.name : typeof error}: ${error && error.message ? error.message : String(error)}`,
+    ...((error && error.details) || []).map((line) => `  ${line}`),
+    `Page: ${location.href}`,
+    `Browser: ${navigator.userAgent}`,
+    `Device memory: ${navigator.deviceMemory ? `${navigator.deviceMemory} GB` : 'unknown'}`,
+  ];
+  try {
+    lines.push(...webgl_diagnostics());
+  } catch (webglError) {
+    lines.push(`WebGL2: ${webglError.message}`);
+  }
+  if (error && error.stack) {
+    lines.push('', error.stack);
+  }
+  return lines.join('\n');
+}
+
+function copy_text(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text);
+  }
+  const area = $('<textarea>').val(text).appendTo('body').select();
+  const copied = document.execCommand('copy');
+  area.remove();
+  return copied ? Promise.resolve() : Promise.reject(new Error('The browser refused to copy'));
+}
+
+/**********************************************************************/
+/***************** Error panel ****************************************/
+/**********************************************************************/
+
+/**
+ * Hides every loading spinner: a render appends one to the options of its
+ * viewer each time, so there may be several.
+ */
+function reset_loading_spinner() {
+  $('[id=loading]').remove();
+}
+
+/**
+ * Shows an error in the panel at the top of the page, replacing the one
+ * shown before, and resets the loading spinner. Cancelled loads are not
+ * errors and are ignored.
+ */
+function show_error_panel(error) {
+  reset_loading_spinner();
+  if (error && error.name === 'AbortError') {
+    return;
+  }
+
+  const type = classify_error(error);
+  const { title, hint } = VIEWER_ERROR_TYPES[type];
+  const diagnostics = error_diagnostics(error, type);
+
+  $('#error_panel').remove();
+  const panel = $(`
+    <div id="error_panel" role="alert" data-type="${type}">
+      <p><b class="error_panel_title"></b></p>
+      <p class="error_panel_message"></p>
+      <ul class="error_panel_details"></ul>
+      <p class="error_panel_hint"></p>
+      <details>
+        <summary>Diagnostics</summary>
+        <pre class="error_panel_diagnostics"></pre>
+      </details>
+      <button id="error_panel_copy">Copy diagnostics</button>
+      <button id="error_panel_dismiss">Dismiss</button>
+    </div>`).appendTo('body');
+  panel.find('.error_panel_title').text(title);
+  panel.find('.error_panel_message').text(error && error.message ? error.message : String(error));
+  panel.find('.error_panel_hint').text(hint);
+  panel.find('.error_panel_diagnostics').text(diagnostics);
+  // The raw error, for inspecting objects the diagnostics only show as text
+  panel.data('error', error);
+  const list = panel.find('.error_panel_details');
+  ((error && error.details) || []).forEach((line) => {
+    list.append($('<li>').text(line));
+  });
+
+  panel.find('#error_panel_copy').on('click', function() {
+    copy_text(diagnostics).then(() => {
+      $(this).text('Copied');
+    }, () => {
+      panel.find('details').prop('open', true);
+    });
+  });
+  panel.find('#error_panel_dismiss').on('click', () => panel.remove());
+}
+
+/**
+ * Shows a 'webgl-context-lost' error when the browser takes the WebGL
+ * context of a viewer's canvas away (GPU reset, too many contexts, driver
+ * crash), instead of leaving a blank canvas.
+ */
+function report_webgl_context_loss(canvas, viewerName) {
+  canvas.addEventListener('webglcontextlost', () => {
+    show_error_panel(viewer_error('webgl-context-lost', `The ${viewerName} lost its WebGL context`, [
+      `Canvas: ${canvas.width} × ${canvas.height} pixels`,
+    ]));
+  });
+}
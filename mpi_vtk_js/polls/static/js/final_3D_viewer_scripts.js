@@ -256,6 +256,558 @@ function convertVtkToItkImage(vtkImage, copyData = false) {
   return itkImage;
 }
 
+/**********************************************************************/
+/*************** Region of interest clipping sliders *****************/
+/**********************************************************************/
+
+/**
+ * World-space bounds enclosing every channel. Each image keeps its own
+ * origin, spacing and direction, so channels acquired at different
+ * positions are not assumed to start at zero.
+ */
+function channels_world_bounds(imageDataList) {
+  const bounds = [Infinity, -Infinity, Infinity, -Infinity, Infinity, -Infinity];
+  imageDataList.forEach((imageData) => {
+    const imageBounds = imageData.getBounds();
+    for (let axis = 0; axis < 3; axis++) {
+      bounds[axis * 2] = Math.min(bounds[axis * 2], imageBounds[axis * 2]);
+      bounds[axis * 2 + 1] = Math.max(bounds[axis * 2 + 1], imageBounds[axis * 2 + 1]);
+    }
+  });
+  return bounds;
+}
+
+/**
+ * Fits the clipping slider pair of one axis to [min, max] and moves its clip
+ * planes to lowerValue and upperValue. The rotated ".planePositionX/Y/Z"
+ * sliders hold negated coordinates since their planes face the negative
+ * axis (origin = value * normal).
+ */
+function fit_clipping_slider_pair(axis, min, max, lowerValue, upperValue, scale) {
+  const step = (max - min) / 1000 || 1;
+
+  const upper = document.querySelector('.planePosition' + axis);
+  upper.setAttribute('min', -max);
+  upper.setAttribute('max', -min);
+  upper.setAttribute('step', step);
+  upper.value = -upperValue;
+
+  const lower = document.querySelector('.planePosition' + axis + '_inv');
+  lower.setAttribute('min', min);
+  lower.setAttribute('max', max);
+  lower.setAttribute('step', step);
+  lower.value = lowerValue;
+  lower.dataset.scale = scale;
+
+  upper.dispatchEvent(new Event('input'));
+  lower.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Fits the six clipping sliders to world bounds (Z optionally scaled like
+ * the actors) and moves the clip planes back to the edges of the data.
+ */
+function set_clipping_slider_ranges(bounds, zScale = 1) {
+  ['X', 'Y', 'Z'].forEach((axis, idx) => {
+    const scale = axis === 'Z' ? zScale : 1;
+    const min = bounds[idx * 2] * scale;
+    const max = bounds[idx * 2 + 1] * scale;
+    fit_clipping_slider_pair(axis, min, max, min, max, scale);
+  });
+}
+
+/**
+ * Refits the Z clipping sliders to world bounds scaled by a new Z scale,
+ * keeping the Z region they clip to. The X and Y sliders are left alone.
+ */
+function rescale_clipping_z_sliders(bounds, zScale) {
+  const lower = document.querySelector('.planePositionZ_inv');
+  const upper = document.querySelector('.planePositionZ');
+  const oldScale = Number(lower.dataset.scale) || 1;
+  const min = bounds[4] * zScale;
+  const max = bounds[5] * zScale;
+  const clamp = (value) => Math.min(Math.max(value, min), max);
+  fit_clipping_slider_pair('Z', min, max,
+    clamp((Number(lower.value) / oldScale) * zScale), clamp((-Number(upper.value) / oldScale) * zScale), zScale);
+}
+
+/**
+ * Reads the region kept by the clipping sliders back as world bounds
+ * [xmin, xmax, ymin, ymax, zmin, zmax], or null before any viewer has set
+ * their ranges.
+ */
+function clipping_slider_bounds() {
+  if (!document.querySelector('.planePositionX_inv').dataset.scale) {
+    return null;
+  }
+  return ['X', 'Y', 'Z'].flatMap((axis) => {
+    const lower = document.querySelector('.planePosition' + axis + '_inv');
+    const upper = document.querySelector('.planePosition' + axis);
+    const scale = Number(lower.dataset.scale);
+    return [Number(lower.value) / scale, -Number(upper.value) / scale];
+  });
+}
+
+/**********************************************************************/
+/*************** Swapping channel images ******************************/
+/**********************************************************************/
+
+/*
+ * Each viewer registers how to put a new vtkImageData into channel i of the
+ * pipeline it has built, so another resolution level can be shown without
+ * rebuilding the scene, and how to take that pipeline down again when the
+ * user switches to another viewer.
+*/
+
+active_viewer = null
+
+function register_active_viewer(setChannelImage, render, teardown) {
+  active_viewer = {
+    setChannelImage: (channel, imageData) => {
+      // The next viewer is built from what is on screen now
+      if (viewer_session) {
+        viewer_session.images[channel] = imageData;
+      }
+      setChannelImage(channel, imageData);
+    },
+    render,
+    teardown,
+  };
+}
+
+/**
+ * Fills the resolution level list from the first multiscale (OME-Zarr)
+ * channel and shows it, or hides it when no channel has several levels.
+ */
+function show_resolution_levels(metadata) {
+  const multiscaleChannel = metadata.find((channel) => channel.multiscale);
+  const select = $('#resolution_level').off('change').empty();
+  if (!multiscaleChannel || multiscaleChannel.multiscale.levels.length < 2) {
+    $('#RESOLUTION_OPTIONS').hide();
+    return;
+  }
+
+  const { levels, levelIndex, spacingUnit } = multiscaleChannel.multiscale;
+  levels.forEach((level, idx) => {
+    const spacing = level.spacing.map((value) => Number(value.toPrecision(3))).join(' × ');
+    select.append($('<option>').attr('value', idx)
+      .text(`${idx}: ${level.dimensions.join(' × ')} voxels (${spacing}${spacingUnit ? ' ' + spacingUnit : ''})`));
+  });
+  select.val(levelIndex).data('level', levelIndex);
+  select.on('change', function() {
+    load_resolution_level(metadata, Number(this.value));
+  });
+  $('#RESOLUTION_OPTIONS').show();
+}
+
+/**
+ * Reads another level of every multiscale channel behind the progress
+ * panel and swaps it into the viewer on the canvas.
+ */
+function load_resolution_level(metadata, levelIndex) {
+  const select = $('#resolution_level').prop('disabled', true);
+  const progressPanel = create_load_progress_panel();
+
+  // The channels split out of one folder are read together
+  const sources = new Map();
+  metadata.forEach((channel, index) => {
+    if (channel.multiscale) {
+      if (!sources.has(channel.sourceIndex)) {
+        sources.set(channel.sourceIndex, { multiscale: channel.multiscale, indices: [] });
+      }
+      sources.get(channel.sourceIndex).indices.push(index);
+    }
+  });
+
+  const reads = Array.from(sources.values(), ({ multiscale, indices }, row) => {
+    const level = Math.min(levelIndex, multiscale.levels.length - 1);
+    return multiscale.loadLevel(level, (progress) => progressPanel.update(row, progress), progressPanel.signal)
+      .then((parts) => parts.map((part, partIndex) => ({
+        index: indices[partIndex],
+        frames: part.frames.map((image) => convert_channel_part({ image, name: part.name })),
+      })));
+  });
+
+  return Promise.all(reads).then((swaps) => {
+    swaps.flat().forEach(({ index, frames }) => {
+      const imageData = frames[Math.min(current_timepoint, frames.length - 1)];
+      metadata[index].frames = frames;
+      metadata[index].dimensions = imageData.getDimensions();
+      metadata[index].spacing = imageData.getSpacing();
+      active_viewer.setChannelImage(index, imageData);
+    });
+    active_viewer.render();
+    select.data('level', levelIndex);
+  }).catch((error) => {
+    select.val(select.data('level'));
+    // Cancelling from the progress panel keeps the level shown; show_error_panel ignores it
+    show_error_panel(error);
+  }).finally(() => {
+    progressPanel.remove();
+    select.prop('disabled', false);
+  });
+}
+
+/**********************************************************************/
+/*************** Time-lapse playback **********************************/
+/**********************************************************************/
+
+/*
+ * Time-lapse channels keep one vtkImageData per timepoint in
+ * metadata[i].frames; the time slider swaps them into the viewer on the
+ * canvas through active_viewer, like the resolution levels above.
+*/
+
+current_timepoint = 0
+time_playback = null
+
+/**
+ * Sets up the time slider for the longest time-lapse channel, or hides it
+ * when every channel has a single timepoint.
+ */
+function show_time_controls(metadata) {
+  stop_time_playback();
+  current_timepoint = 0;
+  const timepointCount = Math.max(...metadata.map((channel) => channel.frames.length));
+  if (timepointCount < 2) {
+    $('#TIME_OPTIONS').hide();
+    return;
+  }
+
+  $('#timepoint').attr('max', timepointCount - 1).val(0).off('input').on('input', function() {
+    stop_time_playback();
+    show_timepoint(metadata, Number(this.value));
+  });
+  $('#time_play').off('click').on('click', () => {
+    if (time_playback) {
+      stop_time_playback();
+    } else {
+      start_time_playback(metadata, timepointCount);
+    }
+  });
+  $('#timepoint_label').text(`1 / ${timepointCount}`);
+  $('#TIME_OPTIONS').show();
+}
+
+/**
+ * Shows timepoint t of every time-lapse channel. Channels with fewer
+ * timepoints stay on their last one.
+ */
+function show_timepoint(metadata, timepoint) {
+  current_timepoint = timepoint;
+  metadata.forEach((channel, index) => {
+    if (channel.frames.length > 1) {
+      active_viewer.setChannelImage(index, channel.frames[Math.min(timepoint, channel.frames.length - 1)]);
+    }
+  });
+  active_viewer.render();
+  $('#timepoint').val(timepoint);
+  $('#timepoint_label').text(`${timepoint + 1} / ${Number($('#timepoint').attr('max')) + 1}`);
+}
+
+/**
+ * Steps through the timepoints at the frame rate in #time_fps, read on
+ * every step so it can be changed while playing. Without #time_loop the
+ * playback stops on the last timepoint.
+ */
+function start_time_playback(metadata, timepointCount) {
+  $('#time_play').text('Pause');
+  if (current_timepoint === timepointCount - 1) {
+    show_timepoint(metadata, 0);
+  }
+  const step = () => {
+    const next = current_timepoint + 1;
+    if (next >= timepointCount && !$('#time_loop').is(':checked')) {
+      stop_time_playback();
+      return;
+    }
+    show_timepoint(metadata, next % timepointCount);
+    const fps = Math.min(Math.max(Number($('#time_fps').val()) || 1, 0.1), 60);
+    time_playback = setTimeout(step, 1000 / fps);
+  };
+  time_playback = setTimeout(step, 0);
+}
+
+function stop_time_playback() {
+  clearTimeout(time_playback);
+  time_playback = null;
+  $('#time_play').text('Play');
+}
+
+/**********************************************************************/
+/*************** Downsampled channels *********************************/
+/**********************************************************************/
+
+/*
+ * Channels downsampled to fit the graphics card keep their full resolution
+ * frames (see fit_channels_to_gpu), so the region kept by the clipping
+ * sliders can be swapped in at full resolution.
+*/
+
+function show_downsampling_state(metadata) {
+  const downsampled = metadata.find((channel) => channel.downsampling);
+  $('#full_resolution_region').off('click');
+  if (!downsampled) {
+    $('#DOWNSAMPLE_OPTIONS').hide();
+    return;
+  }
+
+  const { factors, method } = downsampled.downsampling;
+  $('#downsampling_state').text(factors.every((factor) => factor === 1)
+    ? 'Full resolution (clipped region)'
+    : `Downsampled × ${factors.join(' × ')} (${method === 'stride' ? 'every n-th voxel' : 'block average'})`);
+  $('#full_resolution_region').on('click', () => load_full_resolution_region(metadata));
+  $('#DOWNSAMPLE_OPTIONS').show();
+}
+
+/**
+ * Crops the full resolution frames of the downsampled channels to the
+ * clipping slider region and swaps them into the viewer. A region that is
+ * still too large is downsampled as little as the limits allow.
+ */
+function load_full_resolution_region(metadata) {
+  const bounds = clipping_slider_bounds();
+  if (!bounds) {
+    show_error_panel(viewer_error('invalid-input', "Please choose the region with the clipping sliders of the Volume or Surface viewer first"));
+    return;
+  }
+
+  const crops = metadata.map((channel) => (channel.downsampling
+    ? channel.downsampling.fullResolution.map((imageData) => crop_image_data(imageData, bounds))
+    : null));
+  if (crops.some((frames) => frames && frames.includes(null))) {
+    show_error_panel(viewer_error('invalid-input', "The clipped region does not contain any voxel"));
+    return;
+  }
+
+  const shown = metadata.map((channel, index) => (crops[index] ? crops[index][0] : channel.frames[0]));
+  const suggestion = volume_downsampling_factors(shown, volume_size_limits());
+  const factors = suggestion ? suggestion.factors : [1, 1, 1];
+
+  metadata.forEach((channel, index) => {
+    if (!crops[index]) {
+      return;
+    }
+    channel.frames = suggestion
+      ? crops[index].map((imageData) => downsample_image_data(imageData, factors, 'average'))
+      : crops[index];
+    channel.downsampling = { ...channel.downsampling, factors, method: 'average' };
+    const imageData = channel.frames[Math.min(current_timepoint, channel.frames.length - 1)];
+    channel.dimensions = imageData.getDimensions();
+    channel.spacing = imageData.getSpacing();
+    channel.origin = imageData.getOrigin();
+    active_viewer.setChannelImage(index, imageData);
+  });
+  active_viewer.render();
+  show_downsampling_state(metadata);
+}
+
+/**********************************************************************/
+/*************** WebGL context recovery *******************************/
+/**********************************************************************/
+
+/*
+ * Browsers take the WebGL context of a canvas away when the GPU driver
+ * resets or a background tab holds on to it for too long. Everything the
+ * user set up (camera, transfer functions, colours, clipping planes) lives
+ * in the vtk.js scene rather than in the context, so a viewer recovers by
+ * drawing its scene into a new OpenGL view: the renderers, mappers and
+ * transfer function textures are rebuilt from the scene on the next render.
+*/
+
+// How long to wait for the browser to give a lost context back before
+// drawing into a new canvas anyway
+const CONTEXT_RESTORE_TIMEOUT_MS = 3000;
+
+/**
+ * Watches the canvas of view, the vtkOpenGLRenderWindow of renderWindow.
+ * Once its context is lost and restored (or not restored in time), a new
+ * view takes its place in container with the same interactor, and
+ * onRecovered(newView) lets the viewer update what refers to the old one.
+ */
+function recover_lost_webgl_context(renderWindow, view, interactor, container, viewerName, onRecovered = () => {}) {
+  const canvas = view.getCanvas();
+  report_webgl_context_loss(canvas, viewerName);
+
+  let restoreTimer = null;
+  const rebuild = () => {
+    clearTimeout(restoreTimer);
+    canvas.removeEventListener('webglcontextrestored', rebuild);
+
+    const size = view.getSize();
+    const nextSibling = canvas.nextSibling;
+    interactor.unbindEvents();
+    renderWindow.removeView(view);
+    view.setContainer(null);
+    view.delete();
+
+    const newView = vtk.Rendering.OpenGL.vtkRenderWindow.newInstance();
+    newView.setContainer(container);
+    container.insertBefore(newView.getCanvas(), nextSibling);
+    newView.setSize(...size);
+    renderWindow.addView(newView);
+    interactor.setView(newView);
+    interactor.bindEvents(container);
+    onRecovered(newView);
+    recover_lost_webgl_context(renderWindow, newView, interactor, container, viewerName, onRecovered);
+
+    try {
+      renderWindow.render();
+      $('#error_panel[data-type="webgl-context-lost"]').remove();
+    } catch (error) {
+      show_error_panel(error);
+    }
+  };
+
+  // vtk.js already keeps the browser from discarding the context for good
+  canvas.addEventListener('webglcontextlost', () => {
+    canvas.addEventListener('webglcontextrestored', rebuild);
+    restoreTimer = setTimeout(rebuild, CONTEXT_RESTORE_TIMEOUT_MS);
+  });
+}
+
+/**********************************************************************/
+/*************** Switching viewers ************************************/
+/**********************************************************************/
+
+/*
+ * The loaded channels stay in viewer_session after the first render, so the
+ * user can look at them in another viewer without loading the files again.
+ * Switching tears the current viewer down first: its render window, its
+ * interactor and every listener it bound to the shared sidebar controls,
+ * which the next viewer binds again for itself.
+*/
+
+viewer_session = null
+viewer_controls = []
+
+// The viewers change the style of the container to lay out their canvases
+const VIEW_CONTAINER_STYLE = $('#viewContainer').attr('style');
+
+const VIEWER_OPTION_PANELS = {
+  volume: '#VOL_OPTIONS',
+  surface: '#SUR_OPTIONS',
+  'tri-planar': '#TRI_PLANAR_OPTIONS',
+  mpr: '#MPR_OPTIONS',
+};
+
+/**
+ * Binds a listener of the active viewer to a sidebar control, to be
+ * removed when the viewer is torn down. type may list several events.
+ */
+function viewer_on(selector, type, listener) {
+  const events = type.split(' ').map((event) => `${event}.viewer`).join(' ');
+  viewer_controls.push($(selector).on(events, listener));
+}
+
+/**
+ * Removes the canvases of renderWindow from the page and frees their WebGL
+ * contexts.
+ */
+function release_render_window(renderWindow, interactor) {
+  interactor.unbindEvents();
+  renderWindow.getViews().forEach((view) => {
+    renderWindow.removeView(view);
+    view.setContainer(null);
+    view.delete();
+  });
+  renderWindow.delete();
+}
+
+/**
+ * Remembers the channels a viewer was built from; mode is one of the keys
+ * of VIEWER_OPTION_PANELS.
+ */
+function start_viewer_session(mode, { images, metadata }, colors) {
+  viewer_session = { mode, images: [...images], metadata, colors };
+  $('#viewer_mode').val(mode);
+  $('#VIEWER_SWITCH').show();
+}
+
+function teardown_active_viewer() {
+  stop_time_playback();
+  viewer_controls.forEach((control) => control.off('.viewer'));
+  viewer_controls = [];
+  window.onresize = null;
+  clear_colorbars();
+  if (active_viewer && active_viewer.teardown) {
+    active_viewer.teardown();
+  }
+  active_viewer = null;
+  $('#viewContainer').empty().attr('style', VIEW_CONTAINER_STYLE);
+}
+
+/**
+ * The channel colours picked in the rows of the current viewer, or the
+ * colours of the session for the viewers without colour pickers.
+ */
+function viewer_channel_colors() {
+  const { mode, metadata, colors } = viewer_session;
+  const picker = { volume: '#vol_color', surface: '#favcolor' }[mode];
+  return metadata.map((channel, i) => (picker && $(picker + i).length ? $(picker + i).val() : colors[i]));
+}
+
+/**
+ * Shows the options of mode in the sidebar and ticks its viewer, as if the
+ * user had picked it before loading the files.
+ */
+function show_viewer_options(mode) {
+  Object.entries(VIEWER_OPTION_PANELS).forEach(([panelMode, panel]) => {
+    $(panel).toggle(panelMode === mode);
+  });
+  const is3D = mode === 'volume' || mode === 'surface';
+  $('#select_render_method').toggle(is3D);
+  $('#rendered_SLICER').toggle(is3D);
+  $('#v1').prop('checked', is3D);
+  $('#r1').prop('checked', mode === 'volume');
+  $('#r2').prop('checked', mode === 'surface');
+  $('#v2').prop('checked', mode === 'tri-planar');
+  $('#v3').prop('checked', mode === 'mpr');
+  $('#sidebarCollapse').prop('disabled', mode === 'mpr');
+  $('#Reset_canvas').prop('disabled', mode === 'mpr');
+}
+
+/**
+ * Rebuilds the loaded channels in another viewer. The channel rows of the
+ * volume and surface viewers keep their settings between switches and are
+ * applied to the new scene, except visibility, shading and edges, which
+ * start on again.
+ */
+function switch_viewer(mode) {
+  if (!viewer_session || !VIEWER_OPTION_PANELS[mode]) {
+    return;
+  }
+  const colors = viewer_channel_colors();
+  const images = [...viewer_session.images];
+  // Colours already picked win over the ones stored in the files
+  const metadata = viewer_session.metadata.map((channel, i) => ({ ...channel, color: colors[i] }));
+
+  try {
+    teardown_active_viewer();
+    show_viewer_options(mode);
+
+    if (mode === 'volume') {
+      $('.colors_channels').prop('disabled', false);
+      volume_rendering(images, vol_sync_channel_rows(metadata, []));
+      $('.vol_set_vis, .vol_set_shade').prop('checked', true);
+      $('#VOL_OPTIONS').find('input[type=range], input[type=text], select').trigger('change');
+    } else if (mode === 'surface') {
+      $('.col_sur').prop('disabled', false);
+      surface_rendering(images, sur_sync_channel_rows(metadata, []));
+      $('.sur_edge_vis').prop('checked', true);
+      $('#SUR_OPTIONS').find('.sur_set_opacity, .sur_set_z_voxel_scale').trigger('change');
+    } else if (mode === 'tri-planar') {
+      tri_planar_rendering(images);
+    } else {
+      mpr_rendering(images);
+    }
+    // The time, level and downsampling controls keep driving active_viewer
+    viewer_session = { ...viewer_session, mode, colors };
+  } catch (error) {
+    show_error_panel(error);
+  }
+}
+
 /**********************************************************************/
 /*************** Volume Rendering by Yubraj Gupta ********************/
 /**********************************************************************/
@@ -310,40 +862,6 @@ function getCenterOfScene (renderer) {
   return center;
 }
 
-function ijkPlanesToWorld(image, planes= [number, number], axis= 0 | 1 | 2) {
-let normal = [0, 0, 0];
-let origin = [0, 0, 0];
-
-// for first plane
-normal[axis] = 1;
-origin[axis] = planes[0];
-origin = image.indexToWorld(origin);
-rotateVe = (vec) => {
-    out = [0, 0, 0];
-    vec3.transformMat3(out, vec, image.getDirection());
-    return out;
-};
-
-const firstPlane = vtkPlane.newInstance({ normal: rotateVe([normal[0], normal[1], normal[2]]), origin });
-
-// second plane
-normal = [0, 0, 0];
-origin = [0, 0, 0];
-
-normal[axis] = -1;
-origin[axis] = planes[1];
-origin = image.indexToWorld(origin);
-rotateVe = (vec) => {
-    out = [0, 0, 0];
-    vec3.transformMat3(out, vec, image.getDirection());
-    return out;
-};
-
-const secondPlane = vtkPlane.newInstance({  normal: rotateVe([normal[0], normal[1], normal[2]]), origin });
-
-    return [firstPlane, secondPlane];
-}
-
 const hex2rgba = (hex, alpha = 1) => {
   const [r, g, b] = hex.match(/\w\w/g).map((x) => parseInt(x, 16));
   return `rgba(${r},${g},${b},${alpha})`;
@@ -354,7 +872,9 @@ const HEX_Values = volume_color_val;
 volume_opacity_val = []
 volume_sample_Distance = []
 volume_visibility_control = []
+volume_transfer_functions = []
 volume_imageData_obj = volume_imageData
+const volume_bounds = channels_world_bounds(volume_imageData)
 
    for (i = 0; i < volume_imageData.length; i++){
 
@@ -387,21 +907,15 @@ volume_imageData_obj = volume_imageData
             ii_mid = parseInt(dataRange[1] / 2)
             ii_1 = parseInt(dataRange[1])
 
-            // Define PieceWise transfer function
-            ofun.removeAllPoints();
-            ofun.addPoint(ii_0, 0.0);
-            ofun.addPoint(ii_1, 1.0);
-
             min = ii_0;
             max = ii_1;
             temp = 0
 
-            // Define Color Transfer Function
-            ctfun.addRGBPoint(rgbInt[3] * 1, (rgbInt[0]/256.), (rgbInt[1]/256.), (rgbInt[2]/256.))
-
-            // create color and opacity transfer functions
+            // create color and opacity transfer functions, edited in #tf_editor
             volumeProperty.setRGBTransferFunction(0, ctfun);
             volumeProperty.setScalarOpacity(0, ofun);
+            volume_transfer_functions[i] = default_transfer_function(dataRange, [rgbInt[0]/256., rgbInt[1]/256., rgbInt[2]/256.]);
+            apply_transfer_function(volumeProperty, volume_transfer_functions[i]);
             volumeProperty.setShade(true);
             volumeProperty.setInterpolationTypeToFastLinear();
             volumeProperty.setAmbient(0.2);
@@ -409,39 +923,16 @@ volume_imageData_obj = volume_imageData
             volumeProperty.setSpecular(0.3);
             volumeProperty.setSpecularPower(8.0);
             volumeProperty.setOpacityMode(0, 20);
-            volumeProperty.setIndependentComponents(true);
+            // Multi-component images left unsplit are drawn in true colour:
+            // RGB(A) comes from the voxels and opacity from the vector length
+            volumeProperty.setIndependentComponents(dataArray.getNumberOfComponents() === 1);
             volumeProperty.setUseGradientOpacity(0, true);
             volumeProperty.setGradientOpacityMinimumValue(0, 0);
             volumeProperty.setGradientOpacityMinimumOpacity(0, 0);
             volumeProperty.setGradientOpacityMaximumValue(0, (dataRange[1] - dataRange[0]) * 0.1);
             volumeProperty.setGradientOpacityMaximumOpacity(0, 1.0);
 
-            // set origin of a data to zero
-            volume_imageData[i].setOrigin(0.0, 0.0, 0.0)
-            image_origin = volume_imageData[i].getOrigin();
-
-            Direction = volume_imageData[i].getDirection();
-
-            img_origin_X = image_origin[0];
-            img_origin_Y = image_origin[1];
-            img_origin_Z = image_origin[2];
-
-            const extent = volume_imageData[i].getExtent();
-            const spacing = volume_imageData[i].getSpacing();
-
-            const sizeX = extent[1] * spacing[0];
-            const sizeY = extent[3] * spacing[1];
-            const sizeZ = extent[5] * spacing[2];
-
-            const xPlanes = [0, extent[1]-1];
-            const yPlanes = [0, extent[3]-1];
-            const zPlanes = [0, extent[3]-1];
-
-            [firstPlane_x, secondPlane_x_inv] = ijkPlanesToWorld(volume_imageData[i], xPlanes, 0);
-            [firstPlane_y, secondPlane_y_inv] = ijkPlanesToWorld(volume_imageData[i], yPlanes, 1);
-            [firstPlane_z, secondPlane_z_inv] = ijkPlanesToWorld(volume_imageData[i], zPlanes, 2);
-
-            // Call the function of ClipPlane
+            // Clipping planes are placed on the world bounds by set_clipping_slider_ranges
             const clipPlaneX = vtkPlane.newInstance();
             const clipPlaneX_inv = vtkPlane.newInstance();
             const clipPlaneY = vtkPlane.newInstance();
@@ -456,30 +947,12 @@ volume_imageData_obj = volume_imageData
             clipPlaneNormalZ = [0, 0, -1];
             clipPlaneNormalZ_inv = [0, 0, 1];
 
-            clipPlane1PositionX = -((sizeX/ 1) ) ;
-            clipPlane2PositionX_inv =  ((sizeX/ 0) ) ;
-            clipPlane2PositionY =  -((sizeX/ 1) ) ;
-            clipPlane2PositionY_inv =  ((sizeX/ 0) ) ;
-            clipPlane2PositionZ =  -((sizeZ/ 1) ) ;
-            clipPlane2PositionZ_inv =  ((sizeZ/ 0) ) ;
-
-            clipPlaneX.setNormal(secondPlane_x_inv.getNormal());
-            clipPlaneX.setOrigin(secondPlane_x_inv.getOrigin());
-
-            clipPlaneX_inv.setNormal(firstPlane_x.getNormal());
-            clipPlaneX_inv.setOrigin(firstPlane_x.getOrigin());
-
-            clipPlaneY.setNormal(secondPlane_y_inv.getNormal());
-            clipPlaneY.setOrigin(secondPlane_y_inv.getOrigin());
-
-            clipPlaneY_inv.setNormal(firstPlane_y.getNormal());
-            clipPlaneY_inv.setOrigin(firstPlane_y.getOrigin());
-
-            clipPlaneZ.setNormal(secondPlane_z_inv.getNormal());
-            clipPlaneZ.setOrigin(secondPlane_z_inv.getOrigin());
-
-            clipPlaneZ_inv.setNormal(firstPlane_z.getNormal());
-            clipPlaneZ_inv.setOrigin(firstPlane_z.getOrigin());
+            clipPlaneX.setNormal(clipPlaneNormalX);
+            clipPlaneX_inv.setNormal(clipPlaneNormalX_inv);
+            clipPlaneY.setNormal(clipPlaneNormalY);
+            clipPlaneY_inv.setNormal(clipPlaneNormalY_inv);
+            clipPlaneZ.setNormal(clipPlaneNormalZ);
+            clipPlaneZ_inv.setNormal(clipPlaneNormalZ_inv);
 
             volumeMapper.setInputData(volume_imageData[i]);
 
@@ -501,72 +974,42 @@ volume_imageData_obj = volume_imageData
 
             renderer.addActor(volume_vtk);
 
-            let el = document.querySelector('.planePositionX');
-            el.setAttribute('min', ((-sizeX) + img_origin_X));
-            el.setAttribute('max', img_origin_X);
-            el.setAttribute('value', ((-sizeX) + img_origin_X));
-
-            el = document.querySelector('.planePositionX_inv');
-            el.setAttribute('min', img_origin_X);
-            el.setAttribute('max', (sizeX + img_origin_X));
-            el.setAttribute('value', img_origin_X);
-
-            el = document.querySelector('.planePositionY');
-            el.setAttribute('min', ((-sizeY) + img_origin_Y));
-            el.setAttribute('max', img_origin_Y);
-            el.setAttribute('value', ((-sizeY) + img_origin_Y));
-
-            el = document.querySelector('.planePositionY_inv');
-            el.setAttribute('min', img_origin_Y);
-            el.setAttribute('max', (sizeY + img_origin_Y));
-            el.setAttribute('value', img_origin_Y);
-
-            el = document.querySelector('.planePositionZ');
-            el.setAttribute('min', ((-sizeZ) + img_origin_Z));
-            el.setAttribute('max', img_origin_Z);
-            el.setAttribute('value', ((-sizeZ) + img_origin_Z));
-
-            el = document.querySelector('.planePositionZ_inv');
-            el.setAttribute('min', img_origin_Z);
-            el.setAttribute('max', (sizeZ + img_origin_Z));
-            el.setAttribute('value', img_origin_Z);
-
-            document.querySelector('.planePositionX').addEventListener('input', (e) => {
+            viewer_on('.planePositionX', 'input', (e) => {
             clipPlane1PositionX = Number(e.target.value);
             const clipPlaneOriginX = [clipPlane1PositionX * clipPlaneNormalX[0], clipPlane1PositionX * clipPlaneNormalX[1], clipPlane1PositionX * clipPlaneNormalX[2], ];
             clipPlaneX.setOrigin(clipPlaneOriginX);
             renderWindow.render();
             });
 
-            document.querySelector('.planePositionX_inv').addEventListener('input', (e) => {
+            viewer_on('.planePositionX_inv', 'input', (e) => {
             clipPlane1PositionX_inv = Number(e.target.value);
             const clipPlaneOriginX_inv = [clipPlane1PositionX_inv * clipPlaneNormalX_inv[0], clipPlane1PositionX_inv * clipPlaneNormalX_inv[1], clipPlane1PositionX_inv * clipPlaneNormalX_inv[2], ];
             clipPlaneX_inv.setOrigin(clipPlaneOriginX_inv);
             renderWindow.render();
             });
 
-            document.querySelector('.planePositionY').addEventListener('input', (e) => {
+            viewer_on('.planePositionY', 'input', (e) => {
             clipPlane1PositionY = Number(e.target.value);
             const clipPlaneOriginY = [clipPlane1PositionY * clipPlaneNormalY[0], clipPlane1PositionY * clipPlaneNormalY[1], clipPlane1PositionY * clipPlaneNormalY[2], ];
             clipPlaneY.setOrigin(clipPlaneOriginY);
             renderWindow.render();
             });
 
-            document.querySelector('.planePositionY_inv').addEventListener('input', (e) => {
+            viewer_on('.planePositionY_inv', 'input', (e) => {
             clipPlane1PositionY_inv = Number(e.target.value);
             const clipPlaneOriginY_inv = [clipPlane1PositionY_inv * clipPlaneNormalY_inv[0],clipPlane1PositionY_inv * clipPlaneNormalY_inv[1],clipPlane1PositionY_inv * clipPlaneNormalY_inv[2], ];
             clipPlaneY_inv.setOrigin(clipPlaneOriginY_inv);
             renderWindow.render();
             });
 
-            document.querySelector('.planePositionZ').addEventListener('input', (e) => {
+            viewer_on('.planePositionZ', 'input', (e) => {
             clipPlane1PositionZ = Number(e.target.value);
             const clipPlaneOriginZ = [clipPlane1PositionZ * clipPlaneNormalZ[0], clipPlane1PositionZ * clipPlaneNormalZ[1], clipPlane1PositionZ * clipPlaneNormalZ[2], ];
             clipPlaneZ.setOrigin(clipPlaneOriginZ);
             renderWindow.render();
             });
 
-            document.querySelector('.planePositionZ_inv').addEventListener('input', (e) => {
+            viewer_on('.planePositionZ_inv', 'input', (e) => {
             clipPlane1PositionZ_inv = Number(e.target.value);
             const clipPlaneOriginZ_inv = [clipPlane1PositionZ_inv * clipPlaneNormalZ_inv[0], clipPlane1PositionZ_inv * clipPlaneNormalZ_inv[1], clipPlane1PositionZ_inv * clipPlaneNormalZ_inv[2], ];
             clipPlaneZ_inv.setOrigin(clipPlaneOriginZ_inv);
@@ -613,20 +1056,121 @@ volume_imageData_obj = volume_imageData
             volume_imageData_obj[i] = volume_imageData[i]
       }
 
+set_clipping_slider_ranges(volume_bounds)
+
+register_active_viewer((channel, imageData) => {
+  volume_sample_Distance[channel].setInputData(imageData);
+  volume_imageData_obj[channel] = imageData;
+  invalidate_transfer_function_histogram(volume_transfer_functions[channel], imageData);
+}, () => renderWindow.render(), () => {
+  hide_transfer_function_editor();
+  orientationWidget.setEnabled(false);
+  release_render_window(renderWindow, interactor);
+});
+
+// Transfer function editor of each channel row
+volume_transfer_functions.forEach((transferFunction, channel) => {
+  viewer_on('#tf_edit' + channel, 'click', () => {
+    show_transfer_function_editor($('#splitDiv' + channel).attr('title') || `channel ${channel + 1}`,
+      transferFunction, volume_imageData_obj[channel], (edited, part) => {
+        apply_transfer_function(volume_opacity_val[channel], transferFunction);
+        if (part === 'color') {
+          $('#colormap' + channel).val('custom');
+          show_volume_colorbar(channel, transferFunction);
+        }
+        renderWindow.render();
+      });
+  });
+});
+
+// Presets apply to the channel numbered in #preset_channel
+const preset_channel = () => Math.min(Math.max(Number($('#preset_channel').val()) - 1, 0), volume_imageData.length - 1);
+$('#preset_channel').attr('max', volume_imageData.length);
+
+viewer_on('#preset_apply', 'click', () => {
+  const preset = find_volume_preset($('#preset_name').val());
+  const channel = preset_channel();
+  if (!preset) {
+    return;
+  }
+  apply_volume_preset(preset, volume_transfer_functions[channel], volume_opacity_val[channel], volume_sample_Distance[channel]);
+  $('#shade' + channel).prop('checked', preset.shade);
+  // Also enables the projection range of average and additive blending
+  $('#blendMode' + channel).val(preset.blendMode).trigger('change');
+  $('#setSampleDistance' + channel).val(preset.sampleDistance);
+  $('#colormap' + channel).val('custom');
+  $('#ambient' + channel).val(preset.ambient);
+  $('#diffuse' + channel).val(preset.diffuse);
+  $('#specular' + channel).val(preset.specular);
+  $('#specularPower' + channel).val(preset.specularPower);
+  show_volume_colorbar(channel, volume_transfer_functions[channel]);
+  redraw_transfer_function_editor();
+  renderWindow.render();
+});
+
+viewer_on('#preset_save', 'click', () => {
+  const name = $('#preset_save_name').val().trim();
+  const channel = preset_channel();
+  if (!name) {
+    $('#preset_save_name').focus();
+    return;
+  }
+  if (find_volume_preset(name) && !is_built_in_volume_preset(name) && !confirm(`Replace the saved preset "${name}"?`)) {
+    return;
+  }
+  try {
+    save_volume_preset(volume_preset_from_channel(name, volume_transfer_functions[channel], volume_opacity_val[channel], volume_sample_Distance[channel]));
+    show_volume_presets(name);
+  } catch (error) {
+    show_error_panel(error);
+  }
+});
+
 for(e=0; e<volume_imageData.length; e++){
     volume_idOpacity = "#setGradientOpacity" + e
     volume_idDistance = "#setSampleDistance" + e
     volume_idblendMode = "#blendMode" + e
     volume_idVisibility = "#visibility" + e
     volume_idColor = "#vol_color" + e
+    volume_idColormap = "#colormap" + e
     volume_id_Z_scale  = "#Slider_scale" + e
     volume_id_shade = "#shade" + e
     volume_id_scalar_opacity = "#setScalarOpacityUnitDistance" + e
 
     d = e
-    trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volume_idVisibility, volume_id_Z_scale, volume_visibility_control[d], volume_imageData_obj[d], volume_idOpacity, volume_idDistance, volume_opacity_val[d], volume_sample_Distance[d], renderWindow, volume_idblendMode, volume_idColor)
+    trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volume_idVisibility, volume_id_Z_scale, volume_visibility_control[d], volume_imageData_obj, volume_idOpacity, volume_idDistance, volume_opacity_val[d], volume_sample_Distance[d], renderWindow, volume_idblendMode, volume_idColor, volume_idColormap, volume_transfer_functions[d], d)
+    trigger_changes_lighting(d, volume_opacity_val[d], renderWindow)
+    trigger_changes_projection(d, volume_sample_Distance[d], volume_transfer_functions[d].range, renderWindow)
 };
 
+// One light for all channels, a headlight unless picked otherwise
+const light = vtk.Rendering.Core.vtkLight.newInstance();
+renderer.addLight(light);
+
+function updateLight() {
+  const lightType = $('#light_type').val();
+  // A camera light keeps its camera transform until told otherwise
+  light.setTransformMatrix(null);
+  if (lightType === 'scene') {
+    light.setLightTypeToSceneLight();
+  } else if (lightType === 'camera') {
+    light.setLightTypeToCameraLight();
+  } else {
+    light.setLightTypeToHeadLight();
+  }
+  if (lightType !== 'headlight') {
+    light.setDirectionAngle(Number($('#light_elevation').val()), Number($('#light_azimuth').val()));
+  }
+  light.setIntensity(Number($('#light_intensity').val()));
+  $('#light_azimuth, #light_elevation').prop('disabled', lightType === 'headlight');
+}
+
+updateLight();
+viewer_on('#light_type, #light_azimuth, #light_elevation, #light_intensity', 'input change', () => {
+  updateLight();
+  renderWindow.render();
+});
+
 //////////////////////////////////////////////////////////////////////////////////////
 const center = getCenterOfScene(renderer);
 const camera = vtkCamera.newInstance();
@@ -638,6 +1182,7 @@ renderWindow.addRenderer(renderer);
 interactor.setView(openglRenderWindow);
 interactor.initialize();
 interactor.bindEvents(container);
+recover_lost_webgl_context(renderWindow, openglRenderWindow, interactor, container, 'volume viewer');
 
 const PanSelector = vtkMouseCameraTrackballPanManipulator.newInstance({ button: 3 },);
 const ZoomSelector = vtkMouseCameraTrackballZoomManipulator.newInstance({ scrollEnabled: true, dragEnabled: false },);
@@ -677,25 +1222,80 @@ renderWindow.render();
 volume_vtk.setVisibility(true);
 
 // Canvas reset
-const Reset_canvas = document.getElementById('Reset_canvas');
-Reset_canvas.addEventListener('click', () => {
+viewer_on('#Reset_canvas', 'click', () => {
   renderer.resetCamera();
   renderWindow.render();
 });
 
 }
 
-// function to convert HEX to RGBA string
-const hex2rgba = (hex, alpha = 1) => {
-  const [r, g, b] = hex.match(/\w\w/g).map((x) => parseInt(x, 16));
-  return `rgba(${r},${g},${b},${alpha})`;
-};
+// Material of each volume channel, lit when its shade checkbox is on. The
+// bundled vtk.js has no local ambient occlusion to offer here.
+function trigger_changes_lighting(channel, volumeProperty, renderWindow) {
+    [['#ambient', 'setAmbient'], ['#diffuse', 'setDiffuse'], ['#specular', 'setSpecular'], ['#specularPower', 'setSpecularPower']].forEach(([id, setter]) => {
+        // Keeps the material picked before switching viewers
+        if ($(id + channel).length) {
+            volumeProperty[setter](Number($(id + channel).val()));
+        }
+        viewer_on(id + channel, 'input change', function() {
+            volumeProperty[setter](Number(this.value));
+            renderWindow.render();
+        });
+    });
+}
+
+// Blend modes that project only the intensities within the mapper's
+// ipScalarRange (AVERAGE_INTENSITY_BLEND, ADDITIVE_INTENSITY_BLEND)
+const RANGED_BLEND_MODES = [3, 4];
+
+// Intensity range of the average and additive projections of a volume
+// channel, the whole dataRange unless narrowed in #ipMin and #ipMax
+function trigger_changes_projection(channel, volumeMapper, dataRange, renderWindow) {
+    const inputs = $('#ipMin' + channel + ', #ipMax' + channel).attr({ min: dataRange[0], max: dataRange[1] });
+    // Values out of the range were picked for images loaded before
+    [['#ipMin', dataRange[0]], ['#ipMax', dataRange[1]]].forEach(([id, value]) => {
+        const input = $(id + channel);
+        if (input.val() === '' || Number(input.val()) < dataRange[0] || Number(input.val()) > dataRange[1]) {
+            input.val(value);
+        }
+    });
+
+    function setIpScalarRange() {
+        const min = Number($('#ipMin' + channel).val());
+        const max = Number($('#ipMax' + channel).val());
+        volumeMapper.setIpScalarRange(Math.min(min, max), Math.max(min, max));
+    }
+
+    function enableInputs() {
+        inputs.prop('disabled', !RANGED_BLEND_MODES.includes(parseInt($('#blendMode' + channel).val(), 10)));
+    }
+
+    if (inputs.length) {
+        setIpScalarRange();
+        enableInputs();
+    }
+    viewer_on(inputs, 'input change', () => {
+        setIpScalarRange();
+        renderWindow.render();
+    });
+    viewer_on('#blendMode' + channel, 'change', enableInputs);
+}
+
+// Colour bar of a volume channel coloured by more than one colour
+function show_volume_colorbar(channel, transferFunction) {
+  if (transferFunction.colorPoints.length > 1) {
+    show_colorbar(`volume${channel}`, $('#splitDiv' + channel).attr('title') || `Channel ${channel + 1}`,
+      transferFunction.colorPoints, transferFunction.range);
+  } else {
+    hide_colorbar(`volume${channel}`);
+  }
+}
 
 // function to trigger switches
-function trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volume_idVisibility, volume_id_Z_scale, volume_visibility_control, volume_imageData_obj, volume_idOpacity, volume_idDistance, volume_opacity_val, volume_sample_Distance, renderWindow, volume_idblendMode, volume_idColor) {
+function trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volume_idVisibility, volume_id_Z_scale, volume_visibility_control, volume_imageData_obj, volume_idOpacity, volume_idDistance, volume_opacity_val, volume_sample_Distance, renderWindow, volume_idblendMode, volume_idColor, volume_idColormap, volume_transfer_function, volume_channel) {
 
     // Control Gradient Opacity
-    $(volume_idOpacity).change(function() {
+    viewer_on(volume_idOpacity, 'change', function() {
       newVal_OPA = this.value
        volume_opacity_val.setGradientOpacityMaximumOpacity(0, newVal_OPA); // Gradient
        renderWindow.render();
@@ -703,7 +1303,7 @@ function trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volum
     });
 
     // Control Scalar Opacity
-    $(volume_id_scalar_opacity).change(function() {
+    viewer_on(volume_id_scalar_opacity, 'change', function() {
       new_SD = this.value
        //console.log(new_SD)
        volume_opacity_val.setScalarOpacityUnitDistance(0, new_SD);
@@ -711,7 +1311,7 @@ function trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volum
     });
 
       // Control Sample Distance
-    $(volume_idDistance).change(function() {
+    viewer_on(volume_idDistance, 'change', function() {
       new_Val_SD = this.value
        console.log(new_Val_SD)
        volume_sample_Distance.setSampleDistance(new_Val_SD);
@@ -719,7 +1319,7 @@ function trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volum
     });
 
     // Control Blending Mode
-    $( volume_idblendMode ).change(function() {
+    viewer_on(volume_idblendMode, 'change', function() {
         new_Val_blen = parseInt(this.value, 10);
         volume_sample_Distance.setBlendMode(new_Val_blen);
         renderWindow.render();
@@ -727,54 +1327,50 @@ function trigger_changes_volume(volume_id_scalar_opacity, volume_id_shade, volum
 
     // Control Image Visibility
     var VIS = false;
-    $(volume_idVisibility).on('click', function() {
+    viewer_on(volume_idVisibility, 'click', function() {
         volume_visibility_control.setVisibility(VIS);
         renderWindow.render();
         VIS = !(VIS);
     });
 
-    // Control Image Shade
-    var SHADE = false;
-    $(volume_id_shade).on('click', function() {
-        volume_opacity_val.setShade(SHADE);
+    // Control Image Shade, also set by the presets
+    viewer_on(volume_id_shade, 'click', function() {
+        volume_opacity_val.setShade(this.checked);
         renderWindow.render();
-        SHADE = !(SHADE);
     });
 
-    // Control the color of the image
-    const colorTFun = vtk.Rendering.Core.vtkColorTransferFunction.newInstance();
-    const vol_colorChange = document.querySelector(volume_idColor);
-
-    vol_colorChange.addEventListener('input', (e) => {
-    volumeColor = hex2rgba(e.target.value);
-    rgba2Int = Array.from(volumeColor.matchAll(/\d+\.?\d*/g), c=> +c[0])
-    colorTFun.addRGBPoint(rgba2Int[3] * 1, (rgba2Int[0]/256.), (rgba2Int[1]/256.), (rgba2Int[2]/256.))
-    volume_opacity_val.setRGBTransferFunction(0, colorTFun);
-    renderWindow.render();
+    // Control the color of the image: the picked colour or a colormap
+    // replaces the colour points of the channel's transfer function
+    function setColorPoints(colormap) {
+        const pickedRgb = hex_to_rgb($(volume_idColor).val());
+        volume_transfer_function.colorPoints.splice(0, Infinity, ...colormap_points(colormap, volume_transfer_function.range, pickedRgb));
+        apply_transfer_function(volume_opacity_val, volume_transfer_function);
+        redraw_transfer_function_editor();
+        show_volume_colorbar(volume_channel, volume_transfer_function);
+        renderWindow.render();
+    }
+
+    viewer_on(volume_idColor, 'input', () => {
+        $(volume_idColormap).val('');
+        setColorPoints('');
     });
 
-    // Control the Z-SCALE of each volume
-    extent = volume_imageData_obj.getExtent();
-    const sizeZ = extent[5];
-    img_origin_Z = 0;
+    viewer_on(volume_idColormap, 'change', function() {
+        // Colours edited in the transfer function editor stay as they are
+        if (this.value !== 'custom') {
+            setColorPoints(this.value);
+        }
+    });
 
-    $(volume_id_Z_scale).change(function() {
+    // Control the Z-SCALE of each volume
+    viewer_on(volume_id_Z_scale, 'change', function() {
 
         newVal = this.value
         console.log(newVal)
         volume_visibility_control.setScale(1.0, 1.0, newVal)
+        rescale_clipping_z_sliders(channels_world_bounds(volume_imageData_obj), Number(newVal))
 
-         el = document.querySelector('.planePositionZ');
-         el.setAttribute('min', ((-sizeZ*newVal) + img_origin_Z));
-         el.setAttribute('max', img_origin_Z);
-         el.setAttribute('value', ((-sizeZ*newVal) + img_origin_Z));
-
-         el = document.querySelector('.planePositionZ_inv');
-         el.setAttribute('min', img_origin_Z);
-         el.setAttribute('max', (sizeZ*newVal + img_origin_Z));
-         el.setAttribute('value', img_origin_Z);
-
-         renderWindow.render();
+        renderWindow.render();
     });
 
 }
@@ -832,35 +1428,6 @@ function createRGBStringFromRGBValues(rgb) {
   return `rgb(${(rgb[0] * 255).toString()}, ${(rgb[1] * 255).toString()}, ${(rgb[2] * 255).toString()})`;
 }
 
-function getCroppingPlanes(imageData, ijkPlanes) {
-  const rotation = quat.create();
-  mat4.getRotation(rotation, imageData.getIndexToWorld());
-
-  const rotateVec = (vec) => {
-    const out = [0, 0, 0];
-    vec3.transformMat3(out, vec, imageData.getDirection());
-    return out;
-  };
-
-  const [iMin, iMax, jMin, jMax, kMin, kMax] = ijkPlanes;
-  const origin = imageData.indexToWorld([iMin, jMin, kMin]);
-  // opposite corner from origin
-  const corner = imageData.indexToWorld([iMax, jMax, kMax]);
-  const surfacePlanes = [
-    // X min/max
-    vtkPlane.newInstance({ normal: rotateVec([1, 0, 0]), origin }),
-    vtkPlane.newInstance({ normal: rotateVec([-1, 0, 0]), origin: corner }),
-    // Y min/max
-    vtkPlane.newInstance({ normal: rotateVec([0, 1, 0]), origin }),
-    vtkPlane.newInstance({ normal: rotateVec([0, -1, 0]), origin: corner }),
-    // X min/max
-    vtkPlane.newInstance({ normal: rotateVec([0, 0, 1]), origin }),
-    vtkPlane.newInstance({ normal: rotateVec([0, 0, -1]), origin: corner })
-  ];
-
-  return surfacePlanes;
-}
-
 // Converts the HTML color picker value into usable RGB
 function hexToRgb(hex) {
     var result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -877,6 +1444,7 @@ surface_opacity_val = []
 surface_iso = []
 surface_iso_dataRange = []
 surface_imageData_obj = surface_imageData
+const surface_bounds = channels_world_bounds(surface_imageData)
 
     for (a = 0; a < surface_imageData.length; a++){
 
@@ -913,23 +1481,7 @@ surface_imageData_obj = surface_imageData
         // Add actor on renderer
         renderer.addActor(actor);
 
-        surface_imageData[a].setOrigin(0.0, 0.0, 0.0)
-        sur_image_origin = surface_imageData[a].getOrigin();
-
-        sur_img_origin_X = sur_image_origin[0];
-        sur_img_origin_Y = sur_image_origin[1];
-        sur_img_origin_Z = sur_image_origin[2];
-
-        const sur_extent = surface_imageData[a].getExtent();
-        const sur_spacing = surface_imageData[a].getSpacing();
-
-        const sur_sizeX = sur_extent[1] * sur_spacing[0];
-        const sur_sizeY = sur_extent[3] * sur_spacing[1];
-        const sur_sizeZ = sur_extent[5] * sur_spacing[2];
-
-        surfacePlanes = getCroppingPlanes(surface_imageData[a], sur_extent);
-
-        // Call the function of ClipPlane
+        // Clipping planes are placed on the world bounds by set_clipping_slider_ranges
         const sur_clipPlaneX = vtkPlane.newInstance();
         const sur_clipPlaneX_inv = vtkPlane.newInstance();
         const sur_clipPlaneY = vtkPlane.newInstance();
@@ -937,7 +1489,6 @@ surface_imageData_obj = surface_imageData
         const sur_clipPlaneZ = vtkPlane.newInstance();
         const sur_clipPlaneZ_inv = vtkPlane.newInstance();
 
-
         const sur_clipPlaneNormalX = [-1, 0, 0];
         const sur_clipPlaneNormalX_inv = [1, 0, 0];
         const sur_clipPlaneNormalY = [0, -1, 0];
@@ -945,32 +1496,12 @@ surface_imageData_obj = surface_imageData
         const sur_clipPlaneNormalZ = [0, 0, -1];
         const sur_clipPlaneNormalZ_inv = [0, 0, 1];
 
-        // Need to be same for all clipPlane
-        sur_clipPlane1PositionX = -((sur_sizeX/ 1));
-        sur_clipPlane2PositionX_inv =  ((sur_sizeX/ 0));
-        sur_clipPlane2PositionY =  -((sur_sizeX/ 1));
-        sur_clipPlane2PositionY_inv =  ((sur_sizeX/ 0));
-        sur_clipPlane2PositionZ =  -((sur_sizeZ/ 1));
-        sur_clipPlane2PositionZ_inv =  ((sur_sizeZ/ 0));
-
-
-        sur_clipPlaneX.setNormal(surfacePlanes[1].getNormal());
-        sur_clipPlaneX.setOrigin(surfacePlanes[1].getOrigin());
-
-        sur_clipPlaneX_inv.setNormal(surfacePlanes[0].getNormal());
-        sur_clipPlaneX_inv.setOrigin(surfacePlanes[0].getOrigin());
-
-        sur_clipPlaneY.setNormal(surfacePlanes[3].getNormal());
-        sur_clipPlaneY.setOrigin(surfacePlanes[3].getOrigin());
-
-        sur_clipPlaneY_inv.setNormal(surfacePlanes[2].getNormal());
-        sur_clipPlaneY_inv.setOrigin(surfacePlanes[2].getOrigin());
-
-        sur_clipPlaneZ.setNormal(surfacePlanes[5].getNormal());
-        sur_clipPlaneZ.setOrigin(surfacePlanes[5].getOrigin());
-
-        sur_clipPlaneZ_inv.setNormal(surfacePlanes[4].getNormal());
-        sur_clipPlaneZ_inv.setOrigin(surfacePlanes[4].getOrigin());
+        sur_clipPlaneX.setNormal(sur_clipPlaneNormalX);
+        sur_clipPlaneX_inv.setNormal(sur_clipPlaneNormalX_inv);
+        sur_clipPlaneY.setNormal(sur_clipPlaneNormalY);
+        sur_clipPlaneY_inv.setNormal(sur_clipPlaneNormalY_inv);
+        sur_clipPlaneZ.setNormal(sur_clipPlaneNormalZ);
+        sur_clipPlaneZ_inv.setNormal(sur_clipPlaneNormalZ_inv);
 
         // Adding above created six planes inside mapper
         mapper.addClippingPlane(sur_clipPlaneX);
@@ -980,72 +1511,42 @@ surface_imageData_obj = surface_imageData
         mapper.addClippingPlane(sur_clipPlaneZ);
         mapper.addClippingPlane(sur_clipPlaneZ_inv);
 
-        let gl = document.querySelector('.planePositionX');
-        gl.setAttribute('min', ((-sur_sizeX) + sur_img_origin_X));
-        gl.setAttribute('max', sur_img_origin_X);
-        gl.setAttribute('value', ((-sur_sizeX) + sur_img_origin_X));
-
-        gl = document.querySelector('.planePositionX_inv');
-        gl.setAttribute('min', sur_img_origin_X);
-        gl.setAttribute('max', (sur_sizeX + sur_img_origin_X));
-        gl.setAttribute('value', sur_img_origin_X);
-
-        gl = document.querySelector('.planePositionY');
-        gl.setAttribute('min', ((-sur_sizeY) + sur_img_origin_Y));
-        gl.setAttribute('max', sur_img_origin_Y);
-        gl.setAttribute('value', ((-sur_sizeY) + sur_img_origin_Y));
-
-        gl = document.querySelector('.planePositionY_inv');
-        gl.setAttribute('min', sur_img_origin_Y);
-        gl.setAttribute('max', (sur_sizeY + sur_img_origin_Y));
-        gl.setAttribute('value', sur_img_origin_Y);
-
-        gl = document.querySelector('.planePositionZ');
-        gl.setAttribute('min', ((-sur_sizeZ) + sur_img_origin_Z));
-        gl.setAttribute('max', sur_img_origin_Z);
-        gl.setAttribute('value', ((-sur_sizeZ) + sur_img_origin_Z));
-
-        gl = document.querySelector('.planePositionZ_inv');
-        gl.setAttribute('min', sur_img_origin_Z);
-        gl.setAttribute('max', (sur_sizeZ + sur_img_origin_Z));
-        gl.setAttribute('value', sur_img_origin_Z);
-
-        document.querySelector('.planePositionX').addEventListener('input', (e) => {
+        viewer_on('.planePositionX', 'input', (e) => {
         sur_clipPlane1PositionX = Number(e.target.value);
         const sur_clipPlaneOriginX = [sur_clipPlane1PositionX * sur_clipPlaneNormalX[0], sur_clipPlane1PositionX * sur_clipPlaneNormalX[1], sur_clipPlane1PositionX * sur_clipPlaneNormalX[2], ];
         sur_clipPlaneX.setOrigin(sur_clipPlaneOriginX);
         renderWindow.render();
         });
 
-        document.querySelector('.planePositionX_inv').addEventListener('input', (e) => {
+        viewer_on('.planePositionX_inv', 'input', (e) => {
         sur_clipPlane1PositionX_inv = Number(e.target.value);
         const sur_clipPlaneOriginX_inv = [sur_clipPlane1PositionX_inv * sur_clipPlaneNormalX_inv[0], sur_clipPlane1PositionX_inv * sur_clipPlaneNormalX_inv[1], sur_clipPlane1PositionX_inv * sur_clipPlaneNormalX_inv[2], ];
         sur_clipPlaneX_inv.setOrigin(sur_clipPlaneOriginX_inv);
         renderWindow.render();
         });
 
-        document.querySelector('.planePositionY').addEventListener('input', (e) => {
+        viewer_on('.planePositionY', 'input', (e) => {
         sur_clipPlane1PositionY = Number(e.target.value);
         const sur_clipPlaneOriginY = [sur_clipPlane1PositionY * sur_clipPlaneNormalY[0], sur_clipPlane1PositionY * sur_clipPlaneNormalY[1], sur_clipPlane1PositionY * sur_clipPlaneNormalY[2], ];
         sur_clipPlaneY.setOrigin(sur_clipPlaneOriginY);
         renderWindow.render();
         });
 
-        document.querySelector('.planePositionY_inv').addEventListener('input', (e) => {
+        viewer_on('.planePositionY_inv', 'input', (e) => {
         sur_clipPlane1PositionY_inv = Number(e.target.value);
         const sur_clipPlaneOriginY_inv = [sur_clipPlane1PositionY_inv * sur_clipPlaneNormalY_inv[0], sur_clipPlane1PositionY_inv * sur_clipPlaneNormalY_inv[1], sur_clipPlane1PositionY_inv * sur_clipPlaneNormalY_inv[2], ];
         sur_clipPlaneY_inv.setOrigin(sur_clipPlaneOriginY_inv);
         renderWindow.render();
         });
 
-        document.querySelector('.planePositionZ').addEventListener('input', (e) => {
+        viewer_on('.planePositionZ', 'input', (e) => {
         sur_clipPlane1PositionZ = Number(e.target.value);
         const sur_clipPlaneOriginZ = [sur_clipPlane1PositionZ * sur_clipPlaneNormalZ[0], sur_clipPlane1PositionZ * sur_clipPlaneNormalZ[1], sur_clipPlane1PositionZ * sur_clipPlaneNormalZ[2], ];
         sur_clipPlaneZ.setOrigin(sur_clipPlaneOriginZ);
         renderWindow.render();
         });
 
-        document.querySelector('.planePositionZ_inv').addEventListener('input', (e) => {
+        viewer_on('.planePositionZ_inv', 'input', (e) => {
         sur_clipPlane1PositionZ_inv = Number(e.target.value);
         const sur_clipPlaneOriginZ_inv = [sur_clipPlane1PositionZ_inv * sur_clipPlaneNormalZ_inv[0], sur_clipPlane1PositionZ_inv * sur_clipPlaneNormalZ_inv[1], sur_clipPlane1PositionZ_inv * sur_clipPlaneNormalZ_inv[2], ];
         sur_clipPlaneZ_inv.setOrigin(sur_clipPlaneOriginZ_inv);
@@ -1091,6 +1592,16 @@ surface_imageData_obj = surface_imageData
         surface_imageData_obj[a] = surface_imageData[a]
     }
 
+set_clipping_slider_ranges(surface_bounds)
+
+register_active_viewer((channel, imageData) => {
+  surface_iso[channel].setInputData(imageData);
+  surface_imageData_obj[channel] = imageData;
+}, () => renderWindow.render(), () => {
+  orientationWidget.setEnabled(false);
+  release_render_window(renderWindow, interactor);
+});
+
 // slider for a opacity and Iso values
 for(b=0; b<surface_imageData.length; b++){
     surface_idOpacity = "#setOpacity"+ b
@@ -1099,7 +1610,7 @@ for(b=0; b<surface_imageData.length; b++){
     surface_idColor = "#favcolor"+ b
     surface_id_Z_Scale = "#sur_Slider_scale"+ b
     z = b
-    trigger_changes_iso(surface_idOpacity, surface_id_Z_Scale, surface_imageData_obj[z], surface_idEDVSI, surface_idColor, surface_opacity_val[z], surface_idISO, surface_iso[z], surface_iso_dataRange[z], renderWindow)
+    trigger_changes_iso(surface_idOpacity, surface_id_Z_Scale, surface_imageData_obj, surface_idEDVSI, surface_idColor, surface_opacity_val[z], surface_idISO, surface_iso[z], surface_iso_dataRange[z], renderWindow)
 };
 
 const center = getCenterOfScene(renderer);
@@ -1113,6 +1624,7 @@ renderWindow.addRenderer(renderer);
 interactor.setView(openglRenderWindow);
 interactor.initialize();
 interactor.bindEvents(container);
+recover_lost_webgl_context(renderWindow, openglRenderWindow, interactor, container, 'surface viewer');
 
 const PanSelector = vtkMouseCameraTrackballPanManipulator.newInstance({ button: 3 },);
 const ZoomSelector = vtkMouseCameraTrackballZoomManipulator.newInstance({ scrollEnabled: true, dragEnabled: false },);
@@ -1153,8 +1665,7 @@ Reset_Background.onclick = function() {
 };
 
 // DISPLAY RESET
-const Reset_canvas = document.getElementById('Reset_canvas');
-Reset_canvas.addEventListener('click', () => {
+viewer_on('#Reset_canvas', 'click', () => {
   renderer.resetCamera();
   renderWindow.render();
 });
@@ -1165,7 +1676,7 @@ Reset_canvas.addEventListener('click', () => {
 function trigger_changes_iso(surface_idOpacity, surface_id_Z_Scale, surface_imageData_obj, surface_idEDVSI, surface_idColor, surface_opacity_val, surface_idISO, surface_iso, surface_iso_dataRange, renderWindow){
 
     // Control Sample Opacity
-    $(surface_idOpacity).change(function() {
+    viewer_on(surface_idOpacity, 'change', function() {
       newVal = this.value
        surface_opacity_val.getProperty().setOpacity(newVal)
        renderWindow.render()
@@ -1182,10 +1693,10 @@ function trigger_changes_iso(surface_idOpacity, surface_id_Z_Scale, surface_imag
     el.setAttribute('min', surface_iso_dataRange[0]);
     el.setAttribute('max', surface_iso_dataRange[1]);
     el.setAttribute('value', ((surface_iso_dataRange[0] + surface_iso_dataRange[1]) / 3));
-    el.addEventListener('input', updateIsoValue);
+    viewer_on(el, 'input', updateIsoValue);
 
     var edge = true;
-    $(surface_idEDVSI).on('click', function() {
+    viewer_on(surface_idEDVSI, 'click', function() {
         surface_opacity_val.getProperty().setEdgeVisibility(edge);
         renderWindow.render();
         edge = !(edge);
@@ -1202,8 +1713,7 @@ function trigger_changes_iso(surface_idOpacity, surface_id_Z_Scale, surface_imag
     }
 
     // Control the color of the image
-    const colorChange = document.querySelector(surface_idColor);
-    colorChange.addEventListener('input', (e) => {
+    viewer_on(surface_idColor, 'input', (e) => {
     const color = hexToRgb(e.target.value);
     surface_opacity_val.getProperty().setColor(color.r/256., color.g/256., color.b/256.)
     surface_opacity_val.getProperty().setDiffuseColor(color.r / 255.0, color.g / 255.0, color.b / 255.0);
@@ -1212,28 +1722,14 @@ function trigger_changes_iso(surface_idOpacity, surface_id_Z_Scale, surface_imag
     });
 
     // Control the scale of the surface
-    sur_extentt = surface_imageData_obj.getExtent();
-    sur_sizeZZ = sur_extentt[5];
-    sur_img_origin_ZZ = 0;
-
-    ///////////////////////
-    $(surface_id_Z_Scale).change(function() {
+    viewer_on(surface_id_Z_Scale, 'change', function() {
 
         sur_Z_newVal = this.value
         console.log(sur_Z_newVal)
         surface_opacity_val.setScale(1.0, 1.0, sur_Z_newVal)
+        rescale_clipping_z_sliders(channels_world_bounds(surface_imageData_obj), Number(sur_Z_newVal))
 
-         let e_l = document.querySelector('.planePositionZ');
-         e_l.setAttribute('min', ((-sur_sizeZZ * sur_Z_newVal) + sur_img_origin_ZZ));
-         e_l.setAttribute('max', sur_img_origin_ZZ);
-         e_l.setAttribute('value', ((-sur_sizeZZ * sur_Z_newVal) + sur_img_origin_ZZ));
-
-         e_l = document.querySelector('.planePositionZ_inv');
-         e_l.setAttribute('min', sur_img_origin_ZZ);
-         e_l.setAttribute('max', (sur_sizeZZ * sur_Z_newVal + sur_img_origin_ZZ));
-         e_l.setAttribute('value', sur_img_origin_ZZ);
-
-         renderWindow.render();
+        renderWindow.render();
     });
 
 }
@@ -1294,6 +1790,7 @@ function updateColorLevel(e) {
         imageActorI.getProperty().setColorLevel(colorLevel);
         imageActorJ.getProperty().setColorLevel(colorLevel);
         imageActorK.getProperty().setColorLevel(colorLevel);
+        updateColormap();
         renderWindow.render();
 };
 
@@ -1302,9 +1799,24 @@ function updateColorWindow(e) {
         imageActorI.getProperty().setColorWindow(colorLevel);
         imageActorJ.getProperty().setColorWindow(colorLevel);
         imageActorK.getProperty().setColorWindow(colorLevel);
+        updateColormap();
         renderWindow.render();
 };
 
+// The colormap is stretched over the colour window
+function updateColormap() {
+        const colormap = $('#tri_colormap').val();
+        const colorLevel = Number(document.querySelector('.colorLevel').value);
+        const colorWindow = Math.max(Number(document.querySelector('.colorWindow').value), 1e-6);
+        const range = [colorLevel - colorWindow / 2, colorLevel + colorWindow / 2];
+        apply_slice_colormap([imageActorI, imageActorJ, imageActorK], colormap, range);
+        if (colormap) {
+            show_colorbar('tri-planar', COLORMAPS[colormap].label, colormap_points(colormap, range), range);
+        } else {
+            hide_colorbar('tri-planar');
+        }
+};
+
 const viewColors = [
   [0.0, 0.0, 0.0], // sagittal
   [0.0, 0.0, 0.0], // coronal
@@ -1369,39 +1881,70 @@ imageK = []
   }
 
 
-document.querySelector('.YZ').addEventListener('input', (e) => {
+viewer_on('.YZ', 'input', (e) => {
     imageActorI.getMapper().setISlice(Number(e.target.value));
     renderWindow.render();
 });
 
-document.querySelector('.XZ').addEventListener('input', (e) => {
+viewer_on('.XZ', 'input', (e) => {
     imageActorJ.getMapper().setJSlice(Number(e.target.value));
     renderWindow.render();
 });
 
-document.querySelector('.XY').addEventListener('input', (e) => {
+viewer_on('.XY', 'input', (e) => {
     imageActorK.getMapper().setKSlice(Number(e.target.value));
     renderWindow.render();
 });
 
-document.querySelector('.colorLevel').addEventListener('input', updateColorLevel);
-document.querySelector('.colorWindow').addEventListener('input', updateColorWindow);
+// Only the last channel is on screen, as in the loop above
+register_active_viewer((channel, imageData) => {
+    const previousDimensions = tri_imageData[channel].getDimensions();
+    tri_imageData[channel] = imageData;
+    if (channel !== tri_imageData.length - 1) {
+        return;
+    }
+
+    // Keep each slice at the same relative depth in the new level
+    const extent = imageData.getExtent();
+    [[imageActorI, 'ISlice', '.YZ'], [imageActorJ, 'JSlice', '.XZ'], [imageActorK, 'KSlice', '.XY']].forEach(([actor, slice, selector], idx) => {
+        const mapper = actor.getMapper();
+        const depth = mapper.getSlice() / Math.max(previousDimensions[idx] - 1, 1);
+        const newSlice = Math.round(extent[idx * 2] + depth * (extent[idx * 2 + 1] - extent[idx * 2]));
+        mapper.setInputData(imageData);
+        mapper[`set${slice}`](newSlice);
+
+        const el = document.querySelector(selector);
+        el.setAttribute('min', extent[idx * 2 + 0]);
+        el.setAttribute('max', extent[idx * 2 + 1]);
+        el.value = newSlice;
+    });
+}, () => renderWindow.render(), () => {
+    orientationWidget.setEnabled(false);
+    release_render_window(renderWindow, interactor);
+});
+
+viewer_on('.colorLevel', 'input', updateColorLevel);
+viewer_on('.colorWindow', 'input', updateColorWindow);
+viewer_on('#tri_colormap', 'change', () => {
+    updateColormap();
+    renderWindow.render();
+});
 
 var edge_K = edge_J = edge_I = true;
 
-$("#XY_button").on('click', function() {
+viewer_on("#XY_button", 'click', function() {
     imageK.setVisibility(edge_K);
     renderWindow.render();
     edge_K = !(edge_K);
 });
 
-$("#XZ_button").on('click', function() {
+viewer_on("#XZ_button", 'click', function() {
     imageJ.setVisibility(edge_J);
     renderWindow.render();
     edge_J = !(edge_J);
 });
 
-$("#YZ_button").on('click', function() {
+viewer_on("#YZ_button", 'click', function() {
     imageI.setVisibility(edge_I);
     renderWindow.render();
     edge_I = !(edge_I);
@@ -1411,6 +1954,7 @@ const interactor = vtkRenderWindowInteractor.newInstance();
 interactor.setView(openglRenderWindow);
 interactor.initialize();
 interactor.bindEvents(container);
+recover_lost_webgl_context(renderWindow, openglRenderWindow, interactor, container, 'tri-planar viewer');
 
 const center = getCenterOfScene(renderer);
 const iStyle = vtkInteractorStyleManipulator.newInstance();
@@ -1457,7 +2001,7 @@ function reassignManipulators() {
 
 Object.keys(selectMap).forEach((name) => {
   const elt = document.querySelector(`.${name}`);
-  elt.addEventListener('change', (e) => {
+  viewer_on(elt, 'change', (e) => {
     uiComponents[name].manipName = e.target.value;
     reassignManipulators();
   });
@@ -1533,8 +2077,7 @@ Reset_Background.onclick = function() {
 };
 
 // DISPLAY RESET
-const Reset_canvas = document.getElementById('Reset_canvas');
-Reset_canvas.addEventListener('click', () => {
+viewer_on('#Reset_canvas', 'click', () => {
   renderer.resetCamera();
   renderWindow.render();
 });
@@ -1649,9 +2192,10 @@ for (let i = 0; i < 4; i++) {
   element.style.position = 'none';
   container.appendChild(element);
 
-  const grw = vtkGenericRenderWindow.newInstance();
+  const grw = vtkGenericRenderWindow.newInstance({ listenWindowResize: false });
   grw.setContainer(element);
   grw.resize();
+  viewer_on(window, 'resize', grw.resize);
 
   const obj = {
     renderWindow: grw.getRenderWindow(),
@@ -1671,6 +2215,11 @@ for (let i = 0; i < 4; i++) {
   obj.interactor.initialize();
   obj.interactor.bindEvents(element);
   obj.widgetManager.setRenderer(obj.renderer);
+  recover_lost_webgl_context(obj.renderWindow, obj.GLWindow, obj.interactor, element, 'MPR viewer', (view) => {
+    // The widgets pick through the view they were given
+    obj.GLWindow = view;
+    obj.widgetManager.setRenderer(obj.renderer);
+  });
   if (i < 3) {
     obj.interactor.setInteractorStyle(vtkInteractorStyleImage.newInstance());
     obj.widgetInstance = obj.widgetManager.addWidget(widget, xyzToViewType[i]);
@@ -1818,6 +2367,42 @@ function updateReslice(interactionContext = {
     view3D.renderer.resetCameraClippingRange();
    }
 
+// Only the last channel is resliced, as in the loop above
+// The colormap is stretched over the intensities of the resliced channel
+function updateColormap() {
+  const colormap = $('#mpr_colormap').val();
+  const range = mpr_imageData[mpr_imageData.length - 1].getPointData().getScalars().getRange();
+  apply_slice_colormap(viewAttributes.map((obj) => obj.resliceActor), colormap, range);
+  if (colormap) {
+    show_colorbar('mpr', COLORMAPS[colormap].label, colormap_points(colormap, range), range);
+  } else {
+    hide_colorbar('mpr');
+  }
+}
+
+updateColormap();
+viewer_on('#mpr_colormap', 'change', () => {
+  updateColormap();
+  viewAttributes.forEach((obj) => obj.renderWindow.render());
+  view3D.renderWindow.render();
+});
+
+register_active_viewer((channel, imageData) => {
+  mpr_imageData[channel] = imageData;
+  if (channel === mpr_imageData.length - 1) {
+    viewAttributes.forEach((obj) => obj.reslice.setInputData(imageData));
+    updateColormap();
+  }
+}, () => {
+  viewAttributes.forEach((obj) => obj.renderWindow.render());
+  view3D.renderWindow.render();
+}, () => {
+  [...viewAttributes, view3D].forEach((obj) => {
+    obj.widgetManager.delete();
+    release_render_window(obj.renderWindow, obj.interactor);
+  });
+});
+
 // ----------------------------------------------------------------------------
 // Define panel interactions
 // ----------------------------------------------------------------------------
@@ -1835,7 +2420,7 @@ function updateViews() {
 }
 
 const checkboxScaleInPixels = document.getElementById('checkboxScaleInPixels');
-checkboxScaleInPixels.addEventListener('change', (ev) => {
+viewer_on(checkboxScaleInPixels, 'change', (ev) => {
   viewAttributes.forEach((obj) => {
     obj.widgetInstance.setScaleInPixels(checkboxScaleInPixels.checked);
     obj.interactor.render();
@@ -1844,7 +2429,7 @@ checkboxScaleInPixels.addEventListener('change', (ev) => {
 
 
 const buttonReset = document.getElementById('buttonReset');
-buttonReset.addEventListener('click', () => {
+viewer_on(buttonReset, 'click', () => {
   widgetState.setPlanes({ ...initialPlanesState });
   widget.setCenter(widget.getWidgetState().getImage().getCenter());
   updateViews();
@@ -1859,65 +2444,53 @@ buttonReset.addEventListener('click', () => {
 /**********************************************************************/
 
 
+/**
+ * Loads the channels behind the progress panel, shows the estimated memory
+ * footprint and then hands them to render. Cancelling from the panel just
+ * closes the loading screen so another set of files can be picked; any
+ * other failure, while loading or rendering, goes to the error panel.
+ */
+function load_and_render(channelFileLists, render) {
+  const progressPanel = create_load_progress_panel();
+
+  return load_image_channels(channelFileLists, {
+    componentMode: $('#component_mode').val(),
+    useCache: $('#use_volume_cache').is(':checked'),
+    requestRegion: $('#select_region').is(':checked') ? show_region_dialog : null,
+    onProgress: progressPanel.update,
+    signal: progressPanel.signal,
+  }).then((loaded) => {
+    // Channel numbers count the loaded channels, after files holding several were split
+    const method = $('#resample_method').val();
+    const reference = Math.min(Math.max(Number($('#resample_reference').val()) - 1, 0), loaded.metadata.length - 1);
+    return method ? resample_loaded_channels(loaded, reference, method) : loaded;
+  }).then((loaded) => fit_channels_to_gpu(loaded, $('#auto_downsample').is(':checked'))).then((loaded) => {
+    const frames = loaded.metadata.flatMap((channel) =>
+      (channel.downsampling ? [...channel.frames, ...channel.downsampling.fullResolution] : channel.frames));
+    progressPanel.showMemory(estimate_memory_footprint(loaded.images, frames));
+    // Rendering blocks the page, so let the browser paint the estimate first
+    return new Promise((resolve) => setTimeout(resolve, 50)).then(() => {
+      render(loaded);
+      show_resolution_levels(loaded.metadata);
+      show_time_controls(loaded.metadata);
+      show_downsampling_state(loaded.metadata);
+    });
+  }).then(() => {
+    progressPanel.remove();
+  }, (error) => {
+    progressPanel.remove();
+    show_error_panel(error);
+  });
+}
+
 /**********************************************************************/
 /***** Callback function for Volume rendering *************************/
 /**********************************************************************/
-/////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
 function vol_processFile(vol_arrFileList, vol_color_val) {
 
-  var vol_img  = []
-  const vol_files = vol_arrFileList
-
-vol_prom = []
-
-for ( l = 0 ; l < vol_files.length; l++) {
-
-    if (l  == 0) {
-        if (vol_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-             vol_prom[l] = itk.readImageDICOMFileSeries(vol_files[l]).then(function ({ image: itkImage }) {
-             vol_imageData = convertItkToVtkImage(itkImage)
-             vol_img.push(vol_imageData)
-             })
-
-        } else if (vol_files[l].length !== 1) {
-             vol_prom[l] = itk.readImageFileSeries(vol_files[l], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-             vol_imageData = convertItkToVtkImage(itkImage)
-             vol_img.push(vol_imageData)
-             })
-
-        } else if (vol_files[l].length === 1) {
-            vol_prom[l] = itk.readImageFile(null, vol_files[l][0]).then(function ({ image: itkImage, webWorker }) {
-            webWorker.terminate()
-            vol_imageData = convertItkToVtkImage(itkImage)
-            vol_img.push(vol_imageData)
-            })
-        }
-    }
-    else {
-        if (vol_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-            vol_prom[l] = itk.readImageDICOMFileSeries(vol_files[l]).then(function ({ image: itkImage }) {
-            vol_imageData = convertItkToVtkImage(itkImage)
-            vol_img.push(vol_imageData)
-            })
-
-        } else if (vol_files[l].length !== 1) {
-            vol_prom[l] = itk.readImageFileSeries(vol_files[l], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-            vol_imageData = convertItkToVtkImage(itkImage)
-            vol_img.push(vol_imageData)
-            })
-
-        } else if (vol_files[l].length === 1) {
-            vol_prom[l] = itk.readImageFile(null, vol_files[l][0]).then(function ({ image: itkImage, webWorker }) {
-            webWorker.terminate()
-            vol_imageData = convertItkToVtkImage(itkImage)
-            vol_img.push(vol_imageData)
-            })
-        }
-    }
-}
-
-Promise.all(vol_prom).then((values) => {
+  load_and_render(vol_arrFileList, (loaded) => {
+    const { images: vol_img, metadata } = loaded
 
     $( "#v1" ).prop( "disabled", true )
     $( "#r1" ).prop( "disabled", true )
@@ -1926,18 +2499,17 @@ Promise.all(vol_prom).then((values) => {
     $( "#r2" ).prop( "disabled", true )
     $( "#btn1" ).prop( "disabled", true )
     $( "#btn2" ).prop( "disabled", true )
-    // $( "#f" ).prop( "disabled", true )
     $( ".colors_channels" ).prop( "disabled", false )
 
-     volume_rendering(vol_img, vol_color_val) // Calls Volume rendering script
-
-      $("#loading").hide();
+    // Files holding several channels add rows and colors of their own
+    const vol_channel_colors = vol_sync_channel_rows(metadata, vol_color_val)
 
-    console.log(vol_img.length +"  -  "+ vol_files.length)
+    volume_rendering(vol_img, vol_channel_colors) // Calls Volume rendering script
+    start_viewer_session('volume', loaded, vol_channel_colors)
 
-}).catch(
-console.log("Please check the input files again"));
+    reset_loading_spinner();
 
+  });
 }
 
 /**********************************************************************/
@@ -1945,57 +2517,9 @@ console.log("Please check the input files again"));
 /**********************************************************************/
 
 function sur_processFile(sur_arrFileList, sur_color_val) {
-  var sur_img  = []
-  const sur_files = sur_arrFileList
-
-sur_prom = []
-
-for ( w = 0 ; w < sur_files.length; w++) {
-    if (w  == 0) {
-        if (sur_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-            sur_prom[w] = itk.readImageDICOMFileSeries(sur_files[w]).then(function ({ image: itkImage }) {
-            sur_imageData = convertItkToVtkImage(itkImage)
-            sur_img.push(sur_imageData)
-            })
-
-        } else if (sur_files[w].length !== 1) {
-            sur_prom[w] = itk.readImageFileSeries(sur_files[w], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-            sur_imageData = convertItkToVtkImage(itkImage)
-            sur_img.push(sur_imageData)
-            })
-
-        } else if (sur_files[w].length === 1) {
-            sur_prom[w] = itk.readImageFile(null, sur_files[w][0]).then(function ({ image: itkImage, webWorker }) {
-            webWorker.terminate()
-            sur_imageData = convertItkToVtkImage(itkImage)
-            sur_img.push(sur_imageData)
-            })
-        }
-    }
-    else {
-        if (sur_arr[0][0].webkitRelativePath.slice(-4) == '.dcm')  {
-            sur_prom[w] = itk.readImageDICOMFileSeries(sur_files[w]).then(function ({ image: itkImage }) {
-            sur_imageData = convertItkToVtkImage(itkImage)
-            sur_img.push(sur_imageData)
-            })
-
-        } else if (sur_files[w].length !== 1) {
-            sur_prom[w] = itk.readImageFileSeries(sur_files[w], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-            sur_imageData = convertItkToVtkImage(itkImage)
-            sur_img.push(sur_imageData)
-            })
-
-        } else if (sur_files[w].length === 1) {
-            sur_prom[w] = itk.readImageFile(null, sur_files[w][0]).then(function ({ image: itkImage, webWorker }) {
-            webWorker.terminate()
-            sur_imageData = convertItkToVtkImage(itkImage)
-            sur_img.push(sur_imageData)
-            })
-        }
-    }
-}
 
-Promise.all(sur_prom).then((values) => {
+  load_and_render(sur_arrFileList, (loaded) => {
+    const { images: sur_img, metadata } = loaded
 
     $( "#v1" ).prop( "disabled", true )
     $( "#r2" ).prop( "disabled", true )
@@ -2004,18 +2528,17 @@ Promise.all(sur_prom).then((values) => {
     $( "#r1" ).prop( "disabled", true )
     $( "#btn1" ).prop( "disabled", true )
     $( "#btn2" ).prop( "disabled", true )
-     // $( "#f" ).prop( "disabled", true )
-     $( ".col_sur" ).prop( "disabled", false )
+    $( ".col_sur" ).prop( "disabled", false )
 
-     surface_rendering(sur_img, sur_color_val) // Calls surface rendering script
+    // Files holding several channels add rows and colors of their own
+    const sur_channel_colors = sur_sync_channel_rows(metadata, sur_color_val)
 
-     $("#loading").hide();
+    surface_rendering(sur_img, sur_channel_colors) // Calls surface rendering script
+    start_viewer_session('surface', loaded, sur_channel_colors)
 
-     console.log(sur_img.length +"  -  "+ sur_files.length)
-;
-}).catch(
-console.log("Please check the input files again"));
+    reset_loading_spinner();
 
+  });
 }
 
 /**********************************************************************/
@@ -2023,148 +2546,46 @@ console.log("Please check the input files again"));
 /**********************************************************************/
 
 function tri_processFile(tri_arrFileList) {
-  var tri_img  = []
-  const tri_files = tri_arrFileList
-
-tri_prom = []
-
-for ( v = 0 ; v < tri_files.length; v++) {
-    if (v  == 0) {
-        if (tri_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-             tri_prom[v] = itk.readImageDICOMFileSeries(tri_files[v]).then(function ({ image: itkImage }) {
-             tri_imageData = convertItkToVtkImage(itkImage)
-             tri_img.push(tri_imageData)
-             })
-
-        } else if (tri_files[v].length !== 1) {
-             tri_prom[v] = itk.readImageFileSeries(tri_files[v], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-             tri_imageData = convertItkToVtkImage(itkImage)
-             tri_img.push(tri_imageData)
-             })
-
-        } else if (tri_files[v].length === 1) {
-             tri_prom[v] = itk.readImageFile(null, tri_files[v][0]).then(function ({ image: itkImage, webWorker }) {
-             webWorker.terminate()
-             tri_imageData = convertItkToVtkImage(itkImage)
-             tri_img.push(tri_imageData)
-             })
-        }
-    }
-    else {
-        if (tri_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-            tri_prom[v] = itk.readImageDICOMFileSeries(tri_files[v]).then(function ({ image: itkImage }) {
-            tri_imageData = convertItkToVtkImage(itkImage)
-            tri_img.push(tri_imageData)
-            })
-        } else if (tri_files[v].length !== 1) {
-            tri_prom[v] = itk.readImageFileSeries(tri_files[v], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-            tri_imageData = convertItkToVtkImage(itkImage)
-            tri_img.push(tri_imageData)
-            })
-        } else if (tri_files[v].length === 1) {
-             tri_prom[v] = itk.readImageFile(null, tri_files[v][0]).then(function ({ image: itkImage, webWorker }) {
-             webWorker.terminate()
-             tri_imageData = convertItkToVtkImage(itkImage)
-             tri_img.push(tri_imageData)
-             })
-        }
-    }
-}
 
-Promise.all(tri_prom).then((values) => {
+  load_and_render(tri_arrFileList, (loaded) => {
+    const { images: tri_img } = loaded
 
     $( "#v1" ).prop( "disabled", true )
     $( "#v3" ).prop( "disabled", true )
     $( "#btn1" ).prop( "disabled", true )
     $( "#btn2" ).prop( "disabled", true )
-     // $( "#f" ).prop( "disabled", true )
-     $( "#v2" ).prop( "disabled", true )
-
-     $("#loading").show();
-     tri_planar_rendering(tri_img) // Calls Tri-Planar rendering script
+    $( "#v2" ).prop( "disabled", true )
 
-     $("#loading").hide();
-     console.log(tri_img.length +"  -  "+ tri_files.length)
+    tri_planar_rendering(tri_img) // Calls Tri-Planar rendering script
+    start_viewer_session('tri-planar', loaded, loaded.metadata.map((channel) => channel.color || '#f401c7'))
 
-}).catch(
-console.log("Please check the input files again"));
+    reset_loading_spinner();
 
+  });
 }
 
 /**********************************************************************/
-/***** Callback function for Tri-Planar rendering *********************/
+/***** Callback function for Multi-Planar Reconstruction rendering ****/
 /**********************************************************************/
 
 function mpr_processFile(mpr_arrFileList) {
-  var mpr_img  = []
-  const mpr_files = mpr_arrFileList
-
-mpr_prom = []
-
-for ( u = 0 ; u < mpr_files.length; u++) {
-   if (u  == 0) {
-      if (mpr_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-           mpr_prom[u] = itk.readImageDICOMFileSeries(mpr_files[u]).then(function ({ image: itkImage }) {
-           mpr_imageData = convertItkToVtkImage(itkImage)
-           mpr_img.push(mpr_imageData)
-           })
-
-      } else if (mpr_files[u].length !== 1) {
-           mpr_prom[u] = itk.readImageFileSeries(mpr_files[u], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-           mpr_imageData = convertItkToVtkImage(itkImage)
-           mpr_img.push(mpr_imageData)
-           })
-
-      } else if (mpr_files[u].length === 1) {
-           mpr_prom[u] = itk.readImageFile(null, mpr_files[u][0]).then(function ({ image: itkImage, webWorker }) {
-           webWorker.terminate()
-           mpr_imageData = convertItkToVtkImage(itkImage)
-           mpr_img.push(mpr_imageData)
-           })
-      }
-   }
-   else {
-      if (mpr_arr[0][0].webkitRelativePath.slice(-4) == '.dcm') {
-           mpr_prom[u] = itk.readImageDICOMFileSeries(mpr_files[u]).then(function ({ image: itkImage }) {
-           mpr_imageData = convertItkToVtkImage(itkImage)
-           mpr_img.push(mpr_imageData)
-           })
-
-      } else if (mpr_files[u].length !== 1) {
-           mpr_prom[u] = itk.readImageFileSeries(mpr_files[u], zSpacing=1.0, zOrigin=0.0).then(function ({ image: itkImage }) {
-           mpr_imageData = convertItkToVtkImage(itkImage)
-           mpr_img.push(mpr_imageData)
-           })
-
-      } else if (mpr_files[u].length === 1) {
-           mpr_prom[u] = itk.readImageFile(null, mpr_files[u][0]).then(function ({ image: itkImage, webWorker }) {
-           webWorker.terminate()
-           mpr_imageData = convertItkToVtkImage(itkImage)
-           mpr_img.push(mpr_imageData)
-           })
-      }
-    }
-}
 
-Promise.all(mpr_prom).then((values) => {
+  load_and_render(mpr_arrFileList, (loaded) => {
+    const { images: mpr_img } = loaded
 
     $( "#v1" ).prop( "disabled", true )
     $( "#v2" ).prop( "disabled", true )
     $( "#btn1" ).prop( "disabled", true )
     $( "#btn2" ).prop( "disabled", true )
-    // $( "#f" ).prop( "disabled", true )
     $( "#Reset_canvas" ).prop( "disabled", true )
 
-    $("#loading").show();
     mpr_rendering(mpr_img) // Calls Multi-Planar Reconstruction rendering script
-    $("#loading").hide();
+    start_viewer_session('mpr', loaded, loaded.metadata.map((channel) => channel.color || '#f401c7'))
 
-    console.log(mpr_img.length +"  -  "+ mpr_files.length)
+    reset_loading_spinner();
     $( "#v3" ).prop( "disabled", true )
 
-}).catch(
-console.log("Please check the input files again"));
-
+  });
 }
 
 /**********************************************************************/
@@ -0,0 +1,2428 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Image Loader ********************/
+/************** Shared by Volume, Surface, Tri-planar and MPR *******/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * Every viewer hands its list of channels (one FileList per #btn1 pick) to
+ * load_image_channels, which reads them with itk-wasm, converts them with
+ * convertItkToVtkImage and resolves with the images in the same order the
+ * channels were picked, whatever order the readers finish in.
+*/
+
+/**********************************************************************/
+/***************** File format detection ******************************/
+/**********************************************************************/
+
+// Files the operating system leaves in folders; they are never images
+const IGNORED_FILE_NAMES = new Set(['.ds_store', 'thumbs.db', 'desktop.ini']);
+
+// Metadata files of a Zarr folder (read by ome_zarr_reader.js), kept despite the leading dot
+const ZARR_METADATA_FILE_NAMES = new Set(['.zattrs', '.zgroup', '.zarray', 'zarr.json']);
+
+const FILE_FORMAT_LABELS = {
+  dicom: 'DICOM',
+  tiff: 'TIFF',
+  nifti: 'NIfTI',
+  nrrd: 'NRRD',
+  mrc: 'MRC',
+  metaimage: 'MetaImage',
+  mgh: 'MGH',
+  png: 'PNG',
+  jpeg: 'JPEG',
+  bmp: 'BMP',
+  'ome-zarr': 'OME-Zarr',
+  unknown: 'unsupported',
+};
+
+const FILE_FORMAT_EXTENSIONS = [
+  ['dicom', ['.dcm', '.dicom']],
+  ['tiff', ['.tif', '.tiff']],
+  ['nifti', ['.nii', '.nii.gz']],
+  ['nrrd', ['.nrrd', '.nhdr']],
+  ['mrc', ['.mrc', '.rec', '.st', '.map']],
+  ['metaimage', ['.mha', '.mhd']],
+  ['mgh', ['.mgh', '.mgz']],
+  ['png', ['.png']],
+  ['jpeg', ['.jpg', '.jpeg']],
+  ['bmp', ['.bmp']],
+];
+
+// Formats that hold a whole volume in one file, as opposed to one slice per file
+const VOLUME_FILE_FORMATS = new Set(['nifti', 'nrrd', 'mrc', 'metaimage', 'mgh']);
+
+/**
+ * Path of a file inside what the user picked: webkitRelativePath for the
+ * #btn1 directory picker, relativePath for dropped folders (see
+ * read_dropped_files), or just the file name.
+ */
+function file_relative_path(file) {
+  return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+function is_ignored_file(file) {
+  const name = file.name.toLowerCase();
+  const relativePath = file_relative_path(file);
+  return (name.startsWith('.') && !ZARR_METADATA_FILE_NAMES.has(name)) || IGNORED_FILE_NAMES.has(name)
+    || relativePath.includes('__MACOSX/');
+}
+
+function format_from_extension(fileName) {
+  const name = fileName.toLowerCase();
+  const match = FILE_FORMAT_EXTENSIONS.find(([, extensions]) =>
+    extensions.some((extension) => name.endsWith(extension))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Recognises a format from the first bytes of a file, or returns null.
+ * gzip-compressed files (.nii.gz, .mgz) are left to the extension check.
+ */
+function format_from_magic(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const text = (offset, length) =>
+    bytes.length >= offset + length
+      ? String.fromCharCode(...bytes.subarray(offset, offset + length))
+      : '';
+
+  if (text(128, 4) === 'DICM') {
+    return 'dicom';
+  }
+  if (['II*\0', 'MM\0*', 'II+\0', 'MM\0+'].includes(text(0, 4))) {
+    return 'tiff';
+  }
+  if (text(0, 7) === 'NRRD000') {
+    return 'nrrd';
+  }
+  if (bytes.length >= 348 && (view.getInt32(0, true) === 348 || view.getInt32(0, false) === 348)
+      && ['n+1\0', 'ni1\0'].includes(text(344, 4))) {
+    return 'nifti';
+  }
+  if (bytes.length >= 8 && (view.getInt32(0, true) === 540 || view.getInt32(0, false) === 540)
+      && ['n+2\0', 'ni2\0'].includes(text(4, 4))) {
+    return 'nifti';
+  }
+  if (text(208, 4) === 'MAP ') {
+    return 'mrc';
+  }
+  if (text(0, 4) === '\x89PNG') {
+    return 'png';
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (text(0, 2) === 'BM') {
+    return 'bmp';
+  }
+  return null;
+}
+
+/**
+ * Resolves with the format of one file. The magic bytes win over the
+ * extension, so DICOM files without ".dcm" are still read as DICOM.
+ */
+function detect_file_format(file) {
+  return file.slice(0, 352).arrayBuffer().then((buffer) =>
+    format_from_magic(buffer) || format_from_extension(file.name) || 'unknown'
+  );
+}
+
+function is_zarr_folder(files) {
+  return files.some((file) => ZARR_METADATA_FILE_NAMES.has(file.name.toLowerCase()));
+}
+
+// Timepoint folders of a time-lapse channel, e.g. t000, T1, tp_02, time-3 or frame12
+const TIMEPOINT_FOLDER_PATTERN = /^(?:t|tp|time|timepoint|frame)[ _-]?\d+$/i;
+
+/**
+ * Splits the files of a channel into timepoints when they all sit in
+ * timepoint folders right below the folder they share. Returns the file
+ * lists in natural folder order, or null for a single timepoint.
+ */
+function split_timepoint_folders(files) {
+  const folders = files.map((file) => file_relative_path(file).split('/').slice(0, -1));
+  let depth = 0;
+  while (folders.every((parts) => parts.length > depth && parts[depth] === folders[0][depth])) {
+    depth += 1;
+  }
+  if (!folders.every((parts) => parts.length > depth && TIMEPOINT_FOLDER_PATTERN.test(parts[depth]))) {
+    return null;
+  }
+
+  const timepoints = new Map();
+  files.forEach((file, idx) => {
+    const folder = folders[idx][depth];
+    if (!timepoints.has(folder)) {
+      timepoints.set(folder, []);
+    }
+    timepoints.get(folder).push(file);
+  });
+  return Array.from(timepoints.keys())
+    .sort(natural_compare)
+    .map((folder) => timepoints.get(folder));
+}
+
+/**
+ * Detects the format of every file in a channel, dropping stray system
+ * files. Resolves with { format, files, timepoints } or rejects when the
+ * channel is empty, holds unsupported files or mixes several formats.
+ * timepoints holds the files of each timepoint folder, or null (see
+ * split_timepoint_folders). A Zarr folder is detected as a whole, since its
+ * chunk files have no signature. The files of a series come out in slice
+ * order (see order_series_files).
+ */
+function detect_channel_format(fileList, name) {
+  const files = Array.from(fileList).filter((file) => !is_ignored_file(file));
+  if (files.length === 0) {
+    return Promise.reject(viewer_error('invalid-input', `Channel "${name}" does not contain any image file`));
+  }
+  if (is_zarr_folder(files)) {
+    return Promise.resolve({ format: 'ome-zarr', files, timepoints: null });
+  }
+  const timepoints = split_timepoint_folders(files);
+
+  return Promise.all(files.map(detect_file_format)).then((formats) => {
+    const filesByFormat = new Map();
+    formats.forEach((format, idx) => {
+      if (!filesByFormat.has(format)) {
+        filesByFormat.set(format, []);
+      }
+      filesByFormat.get(format).push(files[idx]);
+    });
+
+    if (filesByFormat.has('unknown')) {
+      const unsupported = filesByFormat.get('unknown').map((file) => file.name);
+      throw viewer_error('unsupported-format', `Channel "${name}" contains files that are not a supported image format`,
+        [...unsupported.slice(0, 5), ...(unsupported.length > 5 ? [`... and ${unsupported.length - 5} more`] : [])]);
+    }
+
+    if (filesByFormat.size > 1) {
+      const summary = Array.from(filesByFormat, ([format, group]) =>
+        `${group.length} ${FILE_FORMAT_LABELS[format]}`
+      ).join(', ');
+      throw viewer_error('invalid-input', `Channel "${name}" mixes several file formats (${summary}). `
+        + 'Please put each format in its own folder.');
+    }
+
+    const [format] = filesByFormat.keys();
+    if (VOLUME_FILE_FORMATS.has(format) && (timepoints || [files]).some((group) => group.length > 1)) {
+      throw viewer_error('invalid-input', `Channel "${name}" holds ${files.length} ${FILE_FORMAT_LABELS[format]} volumes. `
+        + 'Please load one volume per channel (or per timepoint folder).');
+    }
+    const groups = (timepoints || [files]).map((group) => order_series_files(group, format, name));
+    return { format, files: groups.flat(), timepoints: timepoints && groups };
+  });
+}
+
+/**********************************************************************/
+/***************** Slice series ordering ******************************/
+/**********************************************************************/
+
+/*
+ * Browsers list picked and dropped files in no particular order, and the
+ * usual slice names sort wrongly as text ("10.tif" before "2.tif"). Image
+ * series are stacked in the order of their files, so they are put in
+ * natural order and their slice numbers checked before anything is read.
+ * DICOM series are ordered by the reader from their slice positions.
+*/
+
+// Problems listed in a series error, beyond which only a count is given
+const MAX_LISTED_SERIES_PROBLEMS = 10;
+
+function natural_compare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Number of the slice a file holds: the last number in its name, without
+ * the extension ("stack_z012.tif" is slice 12), or null.
+ */
+function slice_file_index(file) {
+  const match = file.name.replace(/\.[^.]*$/, '').match(/(\d+)\D*$/);
+  return match ? Number(match[1]) : null;
+}
+
+function describe_slice_range(first, last) {
+  return first === last ? `Slice ${first}` : `Slices ${first}-${last}`;
+}
+
+/**
+ * Sorts the files of a series in natural order of their paths. When every
+ * slice file is numbered, two files with the same number or numbers
+ * missing between the first and the last slice reject the channel with a
+ * 'series-order' error listing them; series numbered every n slices are fine.
+ */
+function order_series_files(files, format, name) {
+  const sorted = [...files].sort((a, b) => natural_compare(file_relative_path(a), file_relative_path(b)));
+  const indices = sorted.map(slice_file_index);
+  if (!SLICE_FILE_FORMATS.has(format) || sorted.length < 2 || indices.includes(null)) {
+    return sorted;
+  }
+
+  const problems = [];
+  const filesByIndex = new Map();
+  sorted.forEach((file, idx) => {
+    if (!filesByIndex.has(indices[idx])) {
+      filesByIndex.set(indices[idx], []);
+    }
+    filesByIndex.get(indices[idx]).push(file_relative_path(file));
+  });
+  filesByIndex.forEach((paths, index) => {
+    if (paths.length > 1) {
+      problems.push(`Slice ${index} is held by ${paths.length} files: ${paths.join(', ')}`);
+    }
+  });
+
+  const numbers = Array.from(filesByIndex.keys()).sort((a, b) => a - b);
+  const steps = numbers.slice(1).map((number, idx) => number - numbers[idx]);
+  const step = Math.min(...steps);
+  steps.forEach((gap, idx) => {
+    const [before, after] = [numbers[idx], numbers[idx + 1]];
+    if (gap % step !== 0) {
+      problems.push(`Slices are numbered every ${step} but jump by ${gap} between `
+        + `${filesByIndex.get(before)[0]} and ${filesByIndex.get(after)[0]}`);
+    } else if (gap !== step) {
+      problems.push(`${describe_slice_range(before + step, after - step)} missing between `
+        + `${filesByIndex.get(before)[0]} and ${filesByIndex.get(after)[0]}`);
+    }
+  });
+
+  if (problems.length) {
+    const listed = problems.slice(0, MAX_LISTED_SERIES_PROBLEMS);
+    if (problems.length > listed.length) {
+      listed.push(`... and ${problems.length - listed.length} more`);
+    }
+    throw viewer_error('series-order', `The ${sorted.length} slices of channel "${name}" do not form a complete series `
+      + `(slices ${numbers[0]} to ${numbers[numbers.length - 1]})`, listed);
+  }
+  return sorted;
+}
+
+function describe_slice_image(image) {
+  const { componentType, components } = image.imageType;
+  return `${image.size.join(' × ')} ${componentType}${components > 1 ? `, ${components} components` : ''}`;
+}
+
+/**
+ * Throws a 'dimension-mismatch' error when a decoded slice does not have
+ * the size and pixel type of the first slice of its series.
+ */
+function check_series_slice(slice, first, file, firstFile) {
+  if (slice.size[0] !== first.size[0] || slice.size[1] !== first.size[1]
+      || slice.imageType.componentType !== first.imageType.componentType
+      || slice.imageType.components !== first.imageType.components) {
+    throw viewer_error('dimension-mismatch',
+      `Slice "${file_relative_path(file)}" does not match the first slice of its series`, [
+      `${file_relative_path(firstFile)}: ${describe_slice_image(first)}`,
+      `${file_relative_path(file)}: ${describe_slice_image(slice)}`,
+    ]);
+  }
+}
+
+/**********************************************************************/
+/***************** Voxel spacing from file headers ********************/
+/**********************************************************************/
+
+// Formats that store one 2D slice per file and no Z spacing of their own
+const SLICE_FILE_FORMATS = new Set(['tiff', 'png', 'jpeg', 'bmp']);
+
+// Length units found in TIFF/ImageJ/DICOM headers, as a factor to micrometres
+const MICROMETRES_PER_UNIT = {
+  micron: 1,
+  um: 1,
+  '\\u00b5m': 1, // ImageJ writes the micro sign escaped
+  'µm': 1,
+  'μm': 1,
+  nm: 0.001,
+  mm: 1000,
+  cm: 10000,
+  inch: 25400,
+};
+
+// Formats whose spacing and origin itk reads in millimetres. Every channel
+// is brought to micrometres, so channels from different sources line up.
+const ITK_SPACING_UNITS = {
+  dicom: 'mm',
+  nifti: 'mm',
+  mgh: 'mm',
+};
+
+const DICOM_LONG_VRS = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV']);
+const DICOM_SHORT_VRS = new Set(['AE', 'AS', 'AT', 'CS', 'DA', 'DS', 'DT', 'FD', 'FL', 'IS', 'LO', 'LT',
+  'PN', 'SH', 'SL', 'SS', 'ST', 'TM', 'UI', 'UL', 'US']);
+
+function read_file_bytes(file, offset, length) {
+  return file.slice(offset, offset + length).arrayBuffer();
+}
+
+function bytes_to_text(buffer, encoding = 'latin1') {
+  return new TextDecoder(encoding).decode(buffer).replace(/\0+$/, '');
+}
+
+/**
+ * Reads the tags of the first IFD of a classic TIFF file.
+ * Resolves with a Map of tag number -> array of values (or a string for
+ * ASCII tags). BigTIFF files resolve with an empty Map. Values longer than
+ * options.maxValueBytes are cut, and ASCII values are decoded with
+ * options.textEncoding.
+ */
+function read_tiff_tags(file, wantedTags, { maxValueBytes = 65536, textEncoding = 'latin1' } = {}) {
+  return read_file_bytes(file, 0, 8).then((header) => {
+    const headerView = new DataView(header);
+    const little = headerView.getUint16(0) === 0x4949;
+    const tags = new Map();
+    if (headerView.getUint16(2, little) !== 42) {
+      return tags;
+    }
+    const ifdOffset = headerView.getUint32(4, little);
+
+    return read_file_bytes(file, ifdOffset, 2).then((countBuffer) => {
+      const count = new DataView(countBuffer).getUint16(0, little);
+      return read_file_bytes(file, ifdOffset + 2, count * 12);
+    }).then((entriesBuffer) => {
+      const view = new DataView(entriesBuffer);
+      const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+      const reads = [];
+
+      for (let offset = 0; offset + 12 <= entriesBuffer.byteLength; offset += 12) {
+        const tag = view.getUint16(offset, little);
+        const type = view.getUint16(offset + 2, little);
+        const count = view.getUint32(offset + 4, little);
+        if (!wantedTags.includes(tag) || !TYPE_SIZES[type]) {
+          continue;
+        }
+        const byteCount = TYPE_SIZES[type] * count;
+        const valueBytes = byteCount <= 4
+          ? Promise.resolve(entriesBuffer.slice(offset + 8, offset + 8 + byteCount))
+          : read_file_bytes(file, view.getUint32(offset + 8, little), Math.min(byteCount, maxValueBytes));
+
+        reads.push(valueBytes.then((buffer) => {
+          const values = new DataView(buffer);
+          if (type === 2) {
+            tags.set(tag, bytes_to_text(buffer, textEncoding));
+          } else if (type === 3) {
+            tags.set(tag, Array.from({ length: count }, (_, idx) => values.getUint16(idx * 2, little)));
+          } else if (type === 4) {
+            tags.set(tag, Array.from({ length: count }, (_, idx) => values.getUint32(idx * 4, little)));
+          } else {
+            tags.set(tag, Array.from({ length: count }, (_, idx) =>
+              values.getUint32(idx * 8, little) / values.getUint32(idx * 8 + 4, little)));
+          }
+        }));
+      }
+      return Promise.all(reads).then(() => tags);
+    });
+  });
+}
+
+/**
+ * Voxel size of a TIFF file in micrometres, from the ImageJ description
+ * (unit= and spacing=) or from the XResolution/YResolution tags.
+ */
+function read_tiff_header_spacing(file) {
+  const IMAGE_DESCRIPTION = 270;
+  const X_RESOLUTION = 282;
+  const Y_RESOLUTION = 283;
+  const RESOLUTION_UNIT = 296;
+
+  return read_tiff_tags(file, [IMAGE_DESCRIPTION, X_RESOLUTION, Y_RESOLUTION, RESOLUTION_UNIT]).then((tags) => {
+    const description = tags.get(IMAGE_DESCRIPTION) || '';
+    const spacing = [null, null, null];
+    let factor = null;
+    let source = 'TIFF resolution tags';
+
+    if (description.startsWith('ImageJ=')) {
+      const field = (key) => (description.match(new RegExp(`^${key}=(.*)$`, 'm')) || [])[1];
+      factor = MICROMETRES_PER_UNIT[(field('unit') || '').trim().toLowerCase()] || null;
+      source = 'ImageJ metadata';
+      if (factor && field('spacing')) {
+        spacing[2] = Number(field('spacing')) * factor;
+      }
+    } else {
+      factor = { 2: MICROMETRES_PER_UNIT.inch, 3: MICROMETRES_PER_UNIT.cm }[(tags.get(RESOLUTION_UNIT) || [2])[0]] || null;
+    }
+
+    if (factor) {
+      [X_RESOLUTION, Y_RESOLUTION].forEach((tag, axis) => {
+        const pixelsPerUnit = (tags.get(tag) || [])[0];
+        if (pixelsPerUnit > 0 && Number.isFinite(pixelsPerUnit)) {
+          spacing[axis] = factor / pixelsPerUnit;
+        }
+      });
+    }
+    return spacing.some((value) => value !== null) ? { spacing, source } : null;
+  });
+}
+
+/**
+ * Reads the spacing and slice position related tags of a DICOM file header
+ * (explicit or implicit VR little endian). Sequences are walked into rather
+ * than skipped, so values nested in functional group sequences are found
+ * too; the first value of a tag is kept.
+ */
+function read_dicom_header(file) {
+  return read_file_bytes(file, 0, 262144).then((buffer) => {
+    const view = new DataView(buffer);
+    const header = {
+      pixelSpacing: null,
+      sliceThickness: null,
+      spacingBetweenSlices: null,
+      hasPosition: false,
+      position: null,
+      orientation: null,
+      instanceNumber: null,
+    };
+    let offset = bytes_to_text(buffer.slice(128, 132)) === 'DICM' ? 132 : 0;
+
+    while (offset + 8 <= buffer.byteLength) {
+      const group = view.getUint16(offset, true);
+      const element = view.getUint16(offset + 2, true);
+      if (group === 0x7fe0) {
+        break; // Pixel data, nothing useful after it
+      }
+      if (group === 0xfffe) {
+        offset += 8; // Item and delimitation tags: step into the item
+        continue;
+      }
+
+      const vr = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5));
+      let length;
+      let valueOffset;
+      if (DICOM_LONG_VRS.has(vr)) {
+        length = view.getUint32(offset + 8, true);
+        valueOffset = offset + 12;
+      } else if (DICOM_SHORT_VRS.has(vr)) {
+        length = view.getUint16(offset + 6, true);
+        valueOffset = offset + 8;
+      } else {
+        length = view.getUint32(offset + 4, true);
+        valueOffset = offset + 8;
+      }
+
+      if (vr === 'SQ' || length === 0xffffffff) {
+        offset = valueOffset;
+        continue;
+      }
+
+      const tag = ((group << 16) | element) >>> 0;
+      const value = () => bytes_to_text(buffer.slice(valueOffset, valueOffset + length)).trim();
+      if (tag === 0x00280030) {
+        header.pixelSpacing = value().split('\\').map(Number);
+      } else if (tag === 0x00180050) {
+        header.sliceThickness = Number(value());
+      } else if (tag === 0x00180088) {
+        header.spacingBetweenSlices = Number(value());
+      } else if (tag === 0x00200032 && !header.position) {
+        header.hasPosition = true;
+        header.position = value().split('\\').map(Number);
+      } else if (tag === 0x00200037 && !header.orientation) {
+        header.orientation = value().split('\\').map(Number);
+      } else if (tag === 0x00200013 && header.instanceNumber === null) {
+        header.instanceNumber = Number(value());
+      }
+      offset = valueOffset + length;
+    }
+    return header;
+  });
+}
+
+/**
+ * Orders the files of a DICOM series the way they are stacked: along the
+ * slice normal by ImagePositionPatient, else by InstanceNumber, else as
+ * picked. The region preview and the reader both use this order, so a Z
+ * range picked on the preview is the range that is read.
+ */
+function sort_dicom_series(files) {
+  return Promise.all(files.map((file) => read_dicom_header(file))).then((headers) => {
+    let keys = null;
+    if (headers.every((header) => header.position && header.position.length === 3
+        && header.orientation && header.orientation.length === 6)) {
+      const [rx, ry, rz, cx, cy, cz] = headers[0].orientation;
+      const normal = [ry * cz - rz * cy, rz * cx - rx * cz, rx * cy - ry * cx];
+      keys = headers.map(({ position }) => position[0] * normal[0] + position[1] * normal[1] + position[2] * normal[2]);
+    } else if (headers.every((header) => Number.isFinite(header.instanceNumber))) {
+      keys = headers.map((header) => header.instanceNumber);
+    }
+    if (!keys || keys.some((key) => !Number.isFinite(key))) {
+      return files;
+    }
+    return files.map((file, idx) => ({ file, key: keys[idx], idx }))
+      .sort((a, b) => a.key - b.key || a.idx - b.idx)
+      .map(({ file }) => file);
+  });
+}
+
+/**
+ * Voxel size of a DICOM file in micrometres from PixelSpacing and
+ * SpacingBetweenSlices / SliceThickness, which DICOM stores in mm.
+ */
+function dicom_header_spacing(header) {
+  const spacing = [null, null, null];
+  if (header.pixelSpacing && header.pixelSpacing.length === 2) {
+    // PixelSpacing is "row spacing\column spacing", i.e. Y then X
+    spacing[0] = header.pixelSpacing[1] * MICROMETRES_PER_UNIT.mm;
+    spacing[1] = header.pixelSpacing[0] * MICROMETRES_PER_UNIT.mm;
+  }
+  const zSpacing = header.spacingBetweenSlices || header.sliceThickness;
+  if (zSpacing) {
+    spacing[2] = zSpacing * MICROMETRES_PER_UNIT.mm;
+  }
+  return spacing.some((value) => value !== null && Number.isFinite(value))
+    ? { spacing, source: 'DICOM PixelSpacing / SliceThickness' }
+    : null;
+}
+
+/**
+ * Works out whether a channel needs its spacing from the user: image series
+ * never carry a Z spacing, and DICOM series without ImagePositionPatient get
+ * a unit Z spacing from itk. Resolves with { needed, prefill }, plus
+ * known when the spacing comes from metadata itk does not read (OME-XML).
+ */
+function channel_spacing_request(channel) {
+  const { format, files, ome } = channel;
+  if (ome) {
+    if (ome.spacing.every((value) => value !== null)) {
+      return Promise.resolve({ needed: false, known: { spacing: ome.spacing, unit: 'µm' } });
+    }
+    const partial = ome.spacing.some((value) => value !== null);
+    return Promise.resolve({ needed: true, prefill: partial ? { spacing: ome.spacing, source: 'OME-XML' } : null });
+  }
+  if (format === 'tiff') {
+    return read_tiff_header_spacing(files[0]).then((prefill) => ({ needed: true, prefill }));
+  }
+  if (SLICE_FILE_FORMATS.has(format)) {
+    return Promise.resolve({ needed: true, prefill: null });
+  }
+  if (format === 'dicom' && files.length > 1) {
+    return read_dicom_header(files[0]).then((header) => ({
+      needed: !header.hasPosition,
+      prefill: dicom_header_spacing(header),
+    }));
+  }
+  return Promise.resolve({ needed: false, prefill: null });
+}
+
+/**
+ * Asks for the voxel spacing once for all channels that need it.
+ * Resolves with one { spacing, unit } (or null when the file's own spacing
+ * is kept) per channel.
+ */
+function resolve_voxel_spacing(channels, requestSpacing) {
+  return Promise.all(channels.map(channel_spacing_request)).then((requests) => {
+    const first = requests.find((request) => request.needed);
+    if (!first) {
+      return requests.map((request) => request.known || null);
+    }
+    const prefilled = requests.find((request) => request.needed && request.prefill) || first;
+    return requestSpacing(prefilled.prefill).then((voxelSpacing) =>
+      requests.map((request) => (request.needed ? voxelSpacing : request.known || null))
+    );
+  });
+}
+
+/**********************************************************************/
+/***************** OME-TIFF *******************************************/
+/**********************************************************************/
+
+/*
+ * itk reads an OME-TIFF as one image with every plane stacked along Z. The
+ * OME-XML in its ImageDescription says which page holds which Z, channel
+ * and timepoint, so the image is split back into one image per channel.
+*/
+
+// OME-XML grows with the number of planes, so allow far more than other tags
+const OME_XML_MAX_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Converts an OME Color (signed 32 bit RGBA integer) to "#rrggbb".
+ */
+function ome_color_to_hex(value) {
+  const rgba = Number(value) >>> 0;
+  return `#${(rgba >>> 8).toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Parses the OME-XML of the first image. Resolves with { dimensionOrder,
+ * size: { X, Y, Z, C, T }, spacing: [x, y, z] in µm (null when missing),
+ * channels: [{ name, color }], planeIndex(z, c, t) -> IFD } or with null when
+ * the description holds no OME-XML.
+ */
+function parse_ome_xml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const pixels = doc.getElementsByTagNameNS('*', 'Pixels')[0];
+  if (!pixels) {
+    return null;
+  }
+  const attribute = (element, name, fallback = null) =>
+    (element.hasAttribute(name) ? element.getAttribute(name) : fallback);
+
+  const dimensionOrder = attribute(pixels, 'DimensionOrder', 'XYZCT');
+  const size = {};
+  ['X', 'Y', 'Z', 'C', 'T'].forEach((axis) => {
+    size[axis] = Number(attribute(pixels, `Size${axis}`, 1));
+  });
+
+  const spacing = ['X', 'Y', 'Z'].map((axis) => {
+    const value = Number(attribute(pixels, `PhysicalSize${axis}`));
+    const factor = MICROMETRES_PER_UNIT[attribute(pixels, `PhysicalSize${axis}Unit`, 'µm').toLowerCase()];
+    return value > 0 && factor ? value * factor : null;
+  });
+
+  const channelElements = Array.from(pixels.getElementsByTagNameNS('*', 'Channel'));
+  // RGB channels hold several samples per plane, so there are fewer planes than SizeC
+  const planeChannels = channelElements.length || size.C;
+  const channels = Array.from({ length: planeChannels }, (_, c) => {
+    const element = channelElements[c];
+    return {
+      name: element ? attribute(element, 'Name', attribute(element, 'ID')) : null,
+      color: element && element.hasAttribute('Color') ? ome_color_to_hex(element.getAttribute('Color')) : null,
+    };
+  });
+
+  // Planes are numbered in DimensionOrder, the first letter after XY varying fastest
+  const planeSizes = { Z: size.Z, C: planeChannels, T: size.T };
+  const order = dimensionOrder.slice(2).split('');
+  const strides = {};
+  order.reduce((stride, axis) => {
+    strides[axis] = stride;
+    return stride * planeSizes[axis];
+  }, 1);
+  const planeCount = size.Z * planeChannels * size.T;
+  const linearIndex = (z, c, t) => z * strides.Z + c * strides.C + t * strides.T;
+
+  // TiffData maps runs of planes onto IFDs; without any, plane n is IFD n
+  const ifdOfPlane = new Map();
+  Array.from(pixels.getElementsByTagNameNS('*', 'TiffData')).forEach((tiffData) => {
+    const hasIfd = tiffData.hasAttribute('IFD');
+    const ifd = Number(attribute(tiffData, 'IFD', 0));
+    const first = linearIndex(Number(attribute(tiffData, 'FirstZ', 0)),
+      Number(attribute(tiffData, 'FirstC', 0)), Number(attribute(tiffData, 'FirstT', 0)));
+    const count = Number(attribute(tiffData, 'PlaneCount', hasIfd ? 1 : planeCount - first));
+    for (let k = 0; k < count; k++) {
+      ifdOfPlane.set(first + k, ifd + k);
+    }
+  });
+
+  return {
+    dimensionOrder,
+    size,
+    spacing,
+    channels,
+    planeIndex(z, c, t) {
+      const plane = linearIndex(z, c, t);
+      return ifdOfPlane.size ? ifdOfPlane.get(plane) : plane;
+    },
+  };
+}
+
+/**
+ * Resolves with the parsed OME-XML of a TIFF file, or null for plain TIFFs.
+ */
+function read_ome_tiff_metadata(file) {
+  const IMAGE_DESCRIPTION = 270;
+  return read_tiff_tags(file, [IMAGE_DESCRIPTION], { maxValueBytes: OME_XML_MAX_BYTES, textEncoding: 'utf-8' })
+    .then((tags) => {
+      const description = tags.get(IMAGE_DESCRIPTION) || '';
+      return description.includes('<OME') ? parse_ome_xml(description) : null;
+    });
+}
+
+/**
+ * Splits the image itk read from an OME-TIFF into 3D itk-wasm images, one
+ * per OME channel and timepoint. Returns [{ image, frames, name, color }]
+ * with one entry per channel, where frames holds its timepoints in order
+ * and image is the first of them.
+ */
+function split_ome_tiff_image(itkImage, ome, fileName) {
+  const pageCount = itkImage.imageType.dimension === 3 ? itkImage.size[2] : 1;
+  const planeLength = itkImage.size[0] * itkImage.size[1] * itkImage.imageType.components;
+  const { Z, T } = ome.size;
+
+  return ome.channels.map((channel, c) => {
+    const frames = Array.from({ length: T }, (_, t) => {
+      const data = new itkImage.data.constructor(planeLength * Z);
+      for (let z = 0; z < Z; z++) {
+        const page = ome.planeIndex(z, c, t);
+        if (page === undefined || page >= pageCount) {
+          throw viewer_error('unsupported-format', `"${fileName}" declares more planes in its OME-XML than it holds. `
+            + 'OME-TIFF sets spread over several files are not supported.', [
+            `Pages in the file: ${pageCount}`,
+            `Planes declared: ${Z} × ${ome.channels.length} channels × ${T} timepoints`,
+          ]);
+        }
+        data.set(itkImage.data.subarray(page * planeLength, (page + 1) * planeLength), z * planeLength);
+      }
+      return {
+        ...itkImage,
+        imageType: { ...itkImage.imageType, dimension: 3 },
+        origin: [itkImage.origin[0], itkImage.origin[1], 0.0],
+        spacing: [itkImage.spacing[0], itkImage.spacing[1], 1.0],
+        direction: new Float64Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+        size: [itkImage.size[0], itkImage.size[1], Z],
+        data,
+      };
+    });
+
+    return {
+      image: frames[0],
+      frames,
+      name: channel.name || `${fileName} C${c + 1}`,
+      color: channel.color,
+    };
+  });
+}
+
+/**********************************************************************/
+/***************** Voxel spacing dialog *******************************/
+/**********************************************************************/
+
+/**
+ * Shows the X/Y/Z spacing dialog, pre-filled from the file headers when
+ * possible. Resolves with { spacing: [x, y, z], unit } in the chosen unit.
+ * Skipping keeps the spacing found in the headers (1 µm along the axes they
+ * leave out), or resolves with null to keep the file's own spacing when
+ * nothing was found.
+ */
+function show_spacing_dialog(prefill) {
+  const prefillSpacing = prefill ? prefill.spacing : [null, null, null];
+  const hint = prefill
+    ? `Pre-filled from ${prefill.source}. Please check the values.`
+    : 'No voxel size was found in the files, please enter it.';
+
+  const dialog = $(`
+    <div id="spacing_dialog" class="loader_dialog">
+      <div class="loader_dialog_content">
+        <p><b>Voxel spacing</b></p>
+        <p class="loader_dialog_hint"></p>
+        <table>
+          <tbody>
+          <tr><td>X</td><td><input class="spacing_value" type="number" min="0" step="any"></td></tr>
+          <tr><td>Y</td><td><input class="spacing_value" type="number" min="0" step="any"></td></tr>
+          <tr><td>Z</td><td><input class="spacing_value" type="number" min="0" step="any"></td></tr>
+          <tr>
+            <td>Unit</td>
+            <td>
+              <select id="spacing_unit">
+                <option value="µm" selected="selected">µm</option>
+                <option value="nm">nm</option>
+              </select>
+            </td>
+          </tr>
+          </tbody>
+        </table>
+        <button id="spacing_apply">Apply</button>
+        <button id="spacing_skip" title="Keep the spacing read from the files">Skip</button>
+      </div>
+    </div>`).appendTo('body');
+
+  const inputs = dialog.find('.spacing_value');
+  dialog.find('.loader_dialog_hint').text(hint);
+  inputs.each((axis, input) => {
+    $(input).val(prefillSpacing[axis] !== null ? Number(prefillSpacing[axis].toPrecision(6)) : 1);
+  });
+
+  // Keep the numbers physically the same when switching unit
+  let unit = 'µm';
+  dialog.find('#spacing_unit').on('change', function() {
+    const factor = (MICROMETRES_PER_UNIT[unit] / MICROMETRES_PER_UNIT[this.value]);
+    inputs.each((axis, input) => {
+      $(input).val(Number((Number($(input).val()) * factor).toPrecision(6)));
+    });
+    unit = this.value;
+  });
+
+  return new Promise((resolve) => {
+    dialog.find('#spacing_apply').on('click', () => {
+      const spacing = inputs.map((axis, input) => Number($(input).val())).get();
+      if (spacing.some((value) => !(value > 0))) {
+        dialog.find('.loader_dialog_hint').text('Spacing values must be greater than zero.');
+        return;
+      }
+      dialog.remove();
+      resolve({ spacing, unit });
+    });
+    dialog.find('#spacing_skip').on('click', () => {
+      dialog.remove();
+      resolve(prefill ? { spacing: prefillSpacing.map((value) => (value !== null ? value : 1)), unit: 'µm' } : null);
+    });
+  });
+}
+
+/**********************************************************************/
+/***************** Dropped files and folders **************************/
+/**********************************************************************/
+
+/**
+ * Lists every file below a dropped FileSystemEntry, setting relativePath on
+ * each file so folders can be mapped to channels like with #btn1.
+ */
+function read_dropped_entry(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject)).then((file) => {
+      file.relativePath = entry.fullPath.replace(/^\//, '');
+      return [file];
+    });
+  }
+
+  // readEntries hands out the folder content in batches until it returns none
+  const reader = entry.createReader();
+  const entries = [];
+  const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    .then((batch) => {
+      if (batch.length === 0) {
+        return entries;
+      }
+      entries.push(...batch);
+      return readBatch();
+    });
+
+  return readBatch().then((children) => Promise.all(children.map(read_dropped_entry)))
+    .then((fileLists) => fileLists.flat());
+}
+
+/**
+ * Resolves with the files of a drop event's DataTransfer, walking into
+ * dropped folders where the browser supports it.
+ */
+function read_dropped_files(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter((entry) => entry);
+
+  if (entries.length === 0) {
+    return Promise.resolve(Array.from(dataTransfer.files));
+  }
+  return Promise.all(entries.map(read_dropped_entry)).then((fileLists) => fileLists.flat());
+}
+
+/**
+ * Splits dropped or unpacked files into channels: each top-level folder is
+ * one channel (e.g. Ch-1, Ch-2, Ch-3 of sample/CLSM), loose volume files
+ * are one channel each and the remaining loose files form one series.
+ * A single folder wrapping everything is looked through, unless it is a
+ * Zarr folder, which always stays one channel. Top-level timepoint folders
+ * (t000, t001, ...) make up one time-lapse channel.
+ */
+function group_files_into_channels(files) {
+  let entries = files.filter((file) => !is_ignored_file(file))
+    .map((file) => ({ file, parts: file_relative_path(file).split('/') }));
+
+  const isZarrRoot = () => entries.some(({ parts }) =>
+    parts.length === 2 && ZARR_METADATA_FILE_NAMES.has(parts[1].toLowerCase()));
+  while (entries.length && !isZarrRoot()
+    && entries.every(({ parts }) => parts.length > 1 && parts[0] === entries[0].parts[0])) {
+    entries = entries.map(({ file, parts }) => ({ file, parts: parts.slice(1) }));
+  }
+  if (entries.length && entries.every(({ parts }) => parts.length > 1 && TIMEPOINT_FOLDER_PATTERN.test(parts[0]))) {
+    return [entries.map(({ file }) => file)];
+  }
+
+  const folders = new Map();
+  const volumeFiles = [];
+  const looseFiles = [];
+  entries.forEach(({ file, parts }) => {
+    if (parts.length > 1) {
+      if (!folders.has(parts[0])) {
+        folders.set(parts[0], []);
+      }
+      folders.get(parts[0]).push(file);
+    } else if (VOLUME_FILE_FORMATS.has(format_from_extension(file.name))) {
+      volumeFiles.push([file]);
+    } else {
+      looseFiles.push(file);
+    }
+  });
+
+  const folderChannels = Array.from(folders.keys())
+    .sort(natural_compare)
+    .map((folder) => folders.get(folder));
+  return [...folderChannels, ...volumeFiles, ...(looseFiles.length ? [looseFiles] : [])];
+}
+
+/**********************************************************************/
+/***************** ZIP archives ***************************************/
+/**********************************************************************/
+
+function is_zip_file(file) {
+  return file.name.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Unpacks a ZIP archive with JSZip into File objects. Each entry gets the
+ * relativePath "<archive path without .zip>/<entry path>", so the archive
+ * behaves like a picked folder of the same name.
+ */
+function unpack_zip_archive(archive) {
+  if (typeof JSZip === 'undefined') {
+    return Promise.reject(viewer_error('unsupported-format', `Cannot open "${archive.name}": the ZIP library could not be loaded`));
+  }
+  const basePath = file_relative_path(archive).replace(/\.zip$/i, '');
+
+  return JSZip.loadAsync(archive).then((zip) => {
+    const entries = [];
+    zip.forEach((entryPath, entry) => {
+      const name = entryPath.split('/').pop();
+      const relativePath = `${basePath}/${entryPath}`;
+      // Skip folders and system files before spending time on inflating them
+      if (!entry.dir && !is_ignored_file({ name, relativePath })) {
+        entries.push(entry.async('blob').then((blob) => {
+          const file = new File([blob], name, { lastModified: entry.date.getTime() });
+          file.relativePath = relativePath;
+          return file;
+        }));
+      }
+    });
+    return Promise.all(entries);
+  }, (error) => {
+    throw viewer_error('invalid-input', `Cannot open "${archive.name}" as a ZIP archive`, [error.message]);
+  });
+}
+
+/**
+ * Replaces every .zip file of a file list with the files it contains and
+ * keeps the other files as they are.
+ */
+function expand_zip_archives(files) {
+  const fileArray = Array.from(files);
+  if (!fileArray.some(is_zip_file)) {
+    return Promise.resolve(fileArray);
+  }
+  return Promise.all(fileArray.map((file) => (is_zip_file(file) ? unpack_zip_archive(file) : [file])))
+    .then((fileLists) => fileLists.flat());
+}
+
+/**
+ * Unpacks the archives of one picked channel. The channel has to stay one
+ * series, so an archive holding several channel folders is refused; those
+ * are split into channels when dropped on the canvas instead.
+ */
+function expand_channel_archives(fileList, name) {
+  return expand_zip_archives(fileList).then((files) => {
+    if (Array.from(fileList).some(is_zip_file)) {
+      const channelCount = group_files_into_channels(files).length;
+      if (channelCount > 1) {
+        throw viewer_error('invalid-input', `Channel "${name}" unpacks into ${channelCount} channel folders. `
+          + 'Please drop the archive on the canvas to load them as separate channels.');
+      }
+    }
+    return files;
+  });
+}
+
+/**********************************************************************/
+/***************** Remote datasets ************************************/
+/**********************************************************************/
+
+function check_http_response(response, url) {
+  if (!response.ok) {
+    throw viewer_error('invalid-input', `Could not fetch "${url}"`, [`HTTP ${response.status} ${response.statusText}`]);
+  }
+  return response;
+}
+
+/**
+ * Fetches the dataset library served by the Django app. Resolves with
+ * [{ name, fileCount, size, url }], where url lists the files of a dataset.
+ */
+function fetch_dataset_list(url) {
+  return fetch(url)
+    .then((response) => check_http_response(response, url))
+    .then((response) => response.json())
+    .then((library) => library.datasets);
+}
+
+/**
+ * Reads the body of a response into a File with the given relativePath,
+ * calling onBytes with the size of every chunk received.
+ */
+function download_response_file(response, relativePath, onBytes) {
+  const name = relativePath.split('/').pop();
+  const reader = response.body.getReader();
+  const chunks = [];
+  const pump = () => reader.read().then(({ done, value }) => {
+    if (done) {
+      const file = new File(chunks, name, { type: response.headers.get('Content-Type') || '' });
+      file.relativePath = relativePath;
+      return file;
+    }
+    chunks.push(value);
+    onBytes(value.byteLength);
+    return pump();
+  });
+  return pump();
+}
+
+/**
+ * Downloads remote files [{ url, path, size }] one after the other into
+ * File objects whose relativePath is path, so they go through the same
+ * grouping and readers as picked or dropped folders. report() gets a
+ * 'downloading' progress with the counters of a channel being read.
+ */
+function fetch_remote_files(entries, report, signal) {
+  const progress = {
+    stage: 'downloading',
+    fileCount: entries.length,
+    totalBytes: entries.reduce((total, entry) => total + (entry.size || 0), 0),
+    filesRead: 0,
+    bytesRead: 0,
+  };
+  report({ ...progress });
+
+  return entries.reduce((previous, entry) => previous.then((files) =>
+    fetch(entry.url, { signal })
+      .then((response) => check_http_response(response, entry.url))
+      .then((response) => download_response_file(response, entry.path, (bytes) => {
+        progress.bytesRead += bytes;
+        report({ ...progress });
+      }))
+      .then((file) => {
+        progress.filesRead += 1;
+        report({ ...progress });
+        return [...files, file];
+      })
+  ), Promise.resolve([]));
+}
+
+/**
+ * Downloads what a URL points to. A dataset file listing
+ * ({ files: [{ url, path, size }] }, as served by the dataset library) is
+ * fetched file by file; anything else is one file named after the last
+ * segment of the URL. Resolves with the Files; cancelled through signal.
+ */
+function fetch_remote_dataset(url, report, signal) {
+  return fetch(url, { signal })
+    .then((response) => check_http_response(response, url))
+    .then((response) => {
+      if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+        return response.json().then((listing) => {
+          if (!Array.isArray(listing.files)) {
+            throw viewer_error('unsupported-format', `"${url}" is neither an image nor a dataset file listing`);
+          }
+          const entries = listing.files.map((entry) => ({ ...entry, url: new URL(entry.url, response.url).href }));
+          return fetch_remote_files(entries, report, signal);
+        });
+      }
+
+      const segments = new URL(response.url).pathname.split('/').filter(Boolean);
+      const name = segments.length ? decodeURIComponent(segments[segments.length - 1]) : 'download';
+      const progress = {
+        stage: 'downloading',
+        fileCount: 1,
+        totalBytes: Number(response.headers.get('Content-Length')) || 0,
+        filesRead: 0,
+        bytesRead: 0,
+      };
+      return download_response_file(response, name, (bytes) => {
+        progress.bytesRead += bytes;
+        report({ ...progress });
+      }).then((file) => {
+        report({ ...progress, filesRead: 1 });
+        return [file];
+      });
+    });
+}
+
+/**********************************************************************/
+/***************** Loading progress panel *****************************/
+/**********************************************************************/
+
+const LOAD_STAGE_LABELS = {
+  downloading: 'Downloading',
+  hashing: 'Checking the cache',
+  reading: 'Reading files',
+  decoding: 'Decoding',
+  previewing: 'Preparing the region preview',
+  converting: 'Converting to VTK',
+  done: 'Done',
+  cached: 'Loaded from the cache',
+};
+
+function format_bytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Estimates what the loaded channels take in memory and the most they can
+ * take as volume textures on the graphics card, where vtk.js may upload
+ * non 8 bit data as 32 bit floats. Only the shown timepoint of a
+ * time-lapse channel is on the graphics card, but all of them are in memory.
+ */
+function estimate_memory_footprint(images, frames = images) {
+  const scalarsOf = (imageData) => imageData.getPointData().getScalars();
+  return {
+    bytes: frames.reduce((total, imageData) => total + scalarsOf(imageData).getData().byteLength, 0),
+    gpuBytes: images.reduce((total, imageData) => {
+      const scalars = scalarsOf(imageData);
+      const values = scalars.getNumberOfTuples() * scalars.getNumberOfComponents();
+      return total + values * Math.max(scalars.getData().BYTES_PER_ELEMENT, 4);
+    }, 0),
+  };
+}
+
+/**
+ * Describes the current stage of one channel for its progress row and
+ * returns the fraction done, or null while it cannot be measured.
+ */
+function describe_load_progress(progress) {
+  const label = (progress.timepointCount > 1 ? `T${progress.timepoint + 1}/${progress.timepointCount} ` : '')
+    + LOAD_STAGE_LABELS[progress.stage];
+  if (progress.stage === 'reading' || progress.stage === 'downloading' || progress.stage === 'hashing') {
+    return {
+      text: `${label} ${progress.filesRead}/${progress.fileCount} ` +
+        `(${format_bytes(progress.bytesRead)} of ${format_bytes(progress.totalBytes)})`,
+      fraction: progress.totalBytes ? progress.bytesRead / progress.totalBytes : 0,
+    };
+  }
+  if (progress.stage === 'decoding' && progress.slicesDecoded !== undefined) {
+    return {
+      text: `${label} slice ${progress.slicesDecoded}/${progress.fileCount} ` +
+        `(${format_bytes(progress.bytesDecoded)} decoded)`,
+      fraction: progress.slicesDecoded / progress.fileCount,
+    };
+  }
+  if (progress.stage === 'done' || progress.stage === 'cached') {
+    return { text: `${label} (${format_bytes(progress.bytesDecoded)})`, fraction: 1 };
+  }
+  return { text: `${label}...`, fraction: null };
+}
+
+/**
+ * Creates the panel with one progress bar per channel and a Cancel button.
+ * It stays hidden until the first progress report, so it does not cover
+ * the spacing dialog. Returns { signal, update, showMemory, remove }, where
+ * update(index, progress) fits load_image_channels' onProgress option.
+ */
+function create_load_progress_panel() {
+  const controller = new AbortController();
+  const panel = $(`
+    <div id="load_progress" class="loader_dialog_content">
+      <p><b>Loading channels</b></p>
+      <table><tbody></tbody></table>
+      <p class="loader_dialog_hint"></p>
+      <button id="load_cancel">Cancel</button>
+    </div>`).hide().appendTo('body');
+  const rows = [];
+
+  panel.find('#load_cancel').on('click', function() {
+    $(this).prop('disabled', true).text('Cancelling...');
+    controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    update(index, progress) {
+      if (!rows[index]) {
+        rows[index] = $('<tr><td class="load_progress_name"></td><td><progress max="1"></progress></td>' +
+          '<td class="load_progress_stage"></td></tr>').appendTo(panel.find('tbody'));
+        rows[index].find('.load_progress_name').text(progress.name);
+      }
+      const { text, fraction } = describe_load_progress(progress);
+      const bar = rows[index].find('progress');
+      if (fraction === null) {
+        bar.removeAttr('value');
+      } else {
+        bar.val(fraction);
+      }
+      rows[index].find('.load_progress_stage').text(text);
+      panel.show();
+    },
+    showMemory(footprint) {
+      panel.find('.loader_dialog_hint').text(
+        `Estimated memory: ${format_bytes(footprint.bytes)} of image data, ` +
+        `up to ${format_bytes(footprint.gpuBytes)} on the graphics card. Rendering...`
+      );
+      panel.find('#load_cancel').prop('disabled', true);
+      panel.show();
+    },
+    remove() {
+      panel.remove();
+    },
+  };
+}
+
+/**********************************************************************/
+/***************** Region of interest *********************************/
+/**********************************************************************/
+
+/*
+ * A region is { x: [first, last], y: [first, last], z: [first, last] } in
+ * voxel indices of the previewed channel. Image series are cut while they
+ * are read: only the slices in the Z range are decoded and each slice is
+ * cropped before stacking. Other files have to be decoded whole and are
+ * cropped right after. Cropped itk-wasm images carry cropStart, the index
+ * of their first voxel in the uncropped grid, and keep its origin until
+ * convert_channel_parts places them.
+*/
+
+// Slices decoded, spread over the stack, for the maximum intensity preview
+const REGION_PREVIEW_SLICES = 8;
+
+/**
+ * Crops an itk-wasm image (2D or 3D) to a region, clamped to its size.
+ */
+function crop_itk_image(image, region) {
+  const { dimension, components } = image.imageType;
+  const ranges = ['x', 'y', 'z'].slice(0, dimension).map((axis, idx) => {
+    const [first, last] = region[axis] || [0, image.size[idx] - 1];
+    const start = Math.min(Math.max(first, 0), image.size[idx] - 1);
+    return [start, Math.min(Math.max(last, start), image.size[idx] - 1)];
+  });
+  const size = ranges.map(([start, end]) => end - start + 1);
+  const depth = dimension === 3 ? size[2] : 1;
+  const rowLength = size[0] * components;
+  const data = new image.data.constructor(rowLength * size[1] * depth);
+
+  for (let z = 0; z < depth; z++) {
+    const sourceZ = dimension === 3 ? z + ranges[2][0] : 0;
+    for (let y = 0; y < size[1]; y++) {
+      const start = ((sourceZ * image.size[1] + y + ranges[1][0]) * image.size[0] + ranges[0][0]) * components;
+      data.set(image.data.subarray(start, start + rowLength), (z * size[1] + y) * rowLength);
+    }
+  }
+  return { ...image, size, data, cropStart: ranges.map(([start]) => start) };
+}
+
+function preview_slice_indices(depth) {
+  const count = Math.min(REGION_PREVIEW_SLICES, depth);
+  const indices = Array.from({ length: count }, (_, k) => Math.floor(((k + 0.5) * depth) / count));
+  return Array.from(new Set(indices));
+}
+
+/**
+ * Builds { width, height, depth, mip } from a decoded itk-wasm image: the
+ * maximum intensity projection of a few slices spread over its depth, on
+ * the first component.
+ */
+function image_preview(image) {
+  const [width, height] = image.size;
+  const depth = image.imageType.dimension === 3 ? image.size[2] : 1;
+  const components = image.imageType.components;
+  const planeLength = width * height;
+  const mip = new Float32Array(planeLength).fill(-Infinity);
+
+  preview_slice_indices(depth).forEach((z) => {
+    for (let p = 0; p < planeLength; p++) {
+      const value = image.data[(z * planeLength + p) * components];
+      if (value > mip[p]) {
+        mip[p] = value;
+      }
+    }
+  });
+  return { width, height, depth, mip };
+}
+
+/**
+ * Decodes a few slices of an image or DICOM series for its preview,
+ * without reading the rest of the stack.
+ */
+function read_series_preview(files, report, signal) {
+  const sampled = preview_slice_indices(files.length).map((idx) => files[idx]);
+  report({ stage: 'previewing' });
+  return read_file_buffers(sampled, () => {}, signal)
+    .then((buffers) => decode_image_slices(buffers, sampled, 1.0, () => {}, signal))
+    .then((stack) => ({ ...image_preview(stack), depth: files.length }));
+}
+
+/**
+ * Shows the preview of a channel and lets the user draw an XY box on it and
+ * pick a Z range. Resolves with the region, or with null to load the whole
+ * volume.
+ */
+function show_region_dialog(preview) {
+  const { width, height, depth, mip } = preview;
+  const dialog = $(`
+    <div id="region_dialog" class="loader_dialog">
+      <div class="loader_dialog_content">
+        <p><b>Region of interest</b></p>
+        <p class="loader_dialog_hint"></p>
+        <canvas id="region_preview"></canvas>
+        <table>
+          <tbody>
+          <tr><td>X</td><td><input class="region_value" data-axis="x" data-end="0" type="number" step="1"></td>
+            <td><input class="region_value" data-axis="x" data-end="1" type="number" step="1"></td></tr>
+          <tr><td>Y</td><td><input class="region_value" data-axis="y" data-end="0" type="number" step="1"></td>
+            <td><input class="region_value" data-axis="y" data-end="1" type="number" step="1"></td></tr>
+          <tr><td>Z</td><td><input class="region_value" data-axis="z" data-end="0" type="number" step="1"></td>
+            <td><input class="region_value" data-axis="z" data-end="1" type="number" step="1"></td></tr>
+          </tbody>
+        </table>
+        <button id="region_apply">Crop</button>
+        <button id="region_skip">Whole volume</button>
+      </div>
+    </div>`).appendTo('body');
+  dialog.find('.loader_dialog_hint').text(`Maximum intensity projection of ${width} × ${height} × ${depth} voxels. `
+    + 'Drag a box on it and choose the slices to load.');
+
+  const limits = { x: width - 1, y: height - 1, z: depth - 1 };
+  const region = { x: [0, limits.x], y: [0, limits.y], z: [0, limits.z] };
+  const inputs = dialog.find('.region_value');
+  inputs.each((idx, input) => {
+    $(input).attr({ min: 0, max: limits[input.dataset.axis] });
+  });
+
+  // The projection is drawn once, scaled to fit, and the box on top of it
+  const canvas = dialog.find('#region_preview')[0];
+  const scale = Math.min(1, 400 / Math.max(width, height));
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const full = document.createElement('canvas');
+  full.width = width;
+  full.height = height;
+  let min = Infinity;
+  let max = -Infinity;
+  mip.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  const pixels = new ImageData(width, height);
+  mip.forEach((value, p) => {
+    const grey = max > min ? Math.round(((value - min) / (max - min)) * 255) : 0;
+    pixels.data.set([grey, grey, grey, 255], p * 4);
+  });
+  full.getContext('2d').putImageData(pixels, 0, 0);
+
+  const context = canvas.getContext('2d');
+  const draw = () => {
+    context.drawImage(full, 0, 0, canvas.width, canvas.height);
+    context.strokeStyle = '#ffd700';
+    context.lineWidth = 2;
+    context.strokeRect(region.x[0] * scale, region.y[0] * scale,
+      (region.x[1] - region.x[0] + 1) * scale, (region.y[1] - region.y[0] + 1) * scale);
+  };
+  const showRegion = () => {
+    inputs.each((idx, input) => {
+      $(input).val(region[input.dataset.axis][input.dataset.end]);
+    });
+    draw();
+  };
+
+  inputs.on('change', function() {
+    const { axis, end } = this.dataset;
+    region[axis][end] = Math.min(Math.max(Math.round(Number(this.value)) || 0, 0), limits[axis]);
+    region[axis].sort((a, b) => a - b);
+    showRegion();
+  });
+
+  let dragStart = null;
+  const voxelAt = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return [
+      Math.min(Math.max(Math.floor((event.clientX - rect.left) / scale), 0), limits.x),
+      Math.min(Math.max(Math.floor((event.clientY - rect.top) / scale), 0), limits.y),
+    ];
+  };
+  $(canvas).on('mousedown', (event) => {
+    dragStart = voxelAt(event);
+  });
+  $(document).on('mousemove.region_dialog', (event) => {
+    if (dragStart) {
+      const [x, y] = voxelAt(event);
+      region.x = [Math.min(dragStart[0], x), Math.max(dragStart[0], x)];
+      region.y = [Math.min(dragStart[1], y), Math.max(dragStart[1], y)];
+      showRegion();
+    }
+  }).on('mouseup.region_dialog', () => {
+    dragStart = null;
+  });
+  showRegion();
+
+  return new Promise((resolve) => {
+    const close = (value) => {
+      $(document).off('.region_dialog');
+      dialog.remove();
+      resolve(value);
+    };
+    dialog.find('#region_apply').on('click', () => close({ x: [...region.x], y: [...region.y], z: [...region.z] }));
+    dialog.find('#region_skip').on('click', () => close(null));
+  });
+}
+
+/**********************************************************************/
+/***************** Channel reading ************************************/
+/**********************************************************************/
+
+/**
+ * Returns the folder name of a channel (e.g. "Ch-1" or "cells.zarr") from
+ * the relative path of its first file, or a generic name when the file has
+ * no folder. Timepoint folders are not channel names.
+ */
+function channel_name(files, index) {
+  const parts = files.length ? file_relative_path(files[0]).split('/') : [];
+  const zarrFolder = parts.find((part) => part.toLowerCase().endsWith('.zarr'));
+  if (zarrFolder) {
+    return zarrFolder;
+  }
+  const folders = parts.slice(0, -1).filter((part) => !TIMEPOINT_FOLDER_PATTERN.test(part));
+  return folders.length ? folders[folders.length - 1] : `Channel ${index + 1}`;
+}
+
+/**
+ * Rejection used when the user cancels a load; callers can tell it apart
+ * from reader errors by its name.
+ */
+function abort_error() {
+  return new DOMException('Loading was cancelled', 'AbortError');
+}
+
+function throw_if_aborted(signal) {
+  if (signal && signal.aborted) {
+    throw abort_error();
+  }
+}
+
+/**
+ * Settles like the itk-wasm call it wraps, but rejects as soon as the load
+ * is cancelled. A call that still finishes afterwards has its web workers
+ * released by release(result).
+ */
+function abortable_itk_call(itkCall, signal, release) {
+  if (!signal) {
+    return itkCall;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abort_error());
+    if (signal.aborted) {
+      onAbort();
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    itkCall.then((result) => {
+      signal.removeEventListener('abort', onAbort);
+      if (signal.aborted) {
+        release(result);
+        return;
+      }
+      resolve(result);
+    }, (error) => {
+      signal.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Reads the files of a channel one after the other into ArrayBuffers,
+ * reporting the files and bytes read so far.
+ */
+function read_file_buffers(files, report, signal) {
+  const buffers = [];
+  let bytesRead = 0;
+
+  return files.reduce((previous, file) => previous.then(() => {
+    throw_if_aborted(signal);
+    return file.arrayBuffer().then((buffer) => {
+      buffers.push(buffer);
+      bytesRead += buffer.byteLength;
+      report({ stage: 'reading', filesRead: buffers.length, bytesRead });
+    });
+  }), Promise.resolve()).then(() => buffers);
+}
+
+/**
+ * Stacks 2D itk-wasm images of the same size and pixel type into one 3D
+ * image, the way itk.readImageFileSeries does.
+ */
+function stack_image_slices(slices, files, zSpacing) {
+  const first = slices[0];
+  const [width, height] = first.size;
+  const sliceLength = first.data.length;
+  const data = new first.data.constructor(sliceLength * slices.length);
+
+  slices.forEach((slice, index) => {
+    if (slice.size[0] !== width || slice.size[1] !== height ||
+        slice.data.length !== sliceLength || slice.data.constructor !== first.data.constructor) {
+      throw viewer_error('dimension-mismatch',
+        `Slice "${files[index].name}" does not match the size or pixel type of "${files[0].name}"`);
+    }
+    data.set(slice.data, index * sliceLength);
+  });
+
+  return {
+    imageType: { ...first.imageType, dimension: 3 },
+    name: first.name,
+    origin: [first.origin[0], first.origin[1], 0.0],
+    spacing: [first.spacing[0], first.spacing[1], zSpacing],
+    direction: new Float64Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+    size: [width, height, slices.length],
+    data,
+  };
+}
+
+/**
+ * Decodes an image series slice by slice on a single web worker, so that
+ * progress can be reported per slice and the worker can be stopped when the
+ * load is cancelled. With a region, every slice is cropped to it as soon as
+ * it is decoded (buffers then only hold the slices of its Z range).
+ */
+function decode_image_slices(buffers, files, zSpacing, report, signal, region = null) {
+  const slices = [];
+  let firstSlice = null;
+  let webWorker = null;
+  let bytesDecoded = 0;
+  const stopWorker = () => {
+    if (webWorker) {
+      webWorker.terminate();
+      webWorker = null;
+    }
+  };
+  if (signal) {
+    signal.addEventListener('abort', stopWorker, { once: true });
+  }
+
+  return buffers.reduce((previous, buffer, index) => previous.then(() => {
+    throw_if_aborted(signal);
+    const decode = itk.readImageArrayBuffer(webWorker, buffer, files[index].name);
+    return abortable_itk_call(decode, signal, (result) => result.webWorker.terminate())
+      .then(({ image, webWorker: usedWorker }) => {
+        webWorker = usedWorker;
+        if (index > 0) {
+          check_series_slice(image, firstSlice, files[index], files[0]);
+        } else {
+          firstSlice = image;
+        }
+        const slice = region ? crop_itk_image(image, region) : image;
+        slices.push(slice);
+        bytesDecoded += slice.data.byteLength;
+        report({ stage: 'decoding', slicesDecoded: slices.length, bytesDecoded });
+      });
+  }), Promise.resolve()).then(() => {
+    const stack = stack_image_slices(slices, files, zSpacing);
+    return region ? { ...stack, cropStart: [...slices[0].cropStart, region.z[0]] } : stack;
+  }).finally(() => {
+    if (signal) {
+      signal.removeEventListener('abort', stopWorker);
+    }
+    stopWorker();
+  });
+}
+
+/**
+ * Reads one channel with the itk-wasm reader that matches its detected
+ * format and resolves with the itk-wasm Image, cropped to region when one
+ * is given. Progress goes to report() and web workers are released once
+ * the image has been read or the load was cancelled through signal.
+ */
+function read_channel_image(format, files, zSpacing = 1.0, report = () => {}, signal = null, region = null) {
+  const isSliceSeries = SLICE_FILE_FORMATS.has(format) && files.length !== 1;
+  const isDicomSeries = format === 'dicom' && files.length !== 1;
+  const readFiles = (isSliceSeries || isDicomSeries) && region
+    ? files.slice(Math.max(region.z[0], 0), Math.min(region.z[1], files.length - 1) + 1)
+    : files;
+  if (readFiles !== files) {
+    report({ fileCount: readFiles.length, totalBytes: readFiles.reduce((total, file) => total + file.size, 0) });
+  }
+
+  return read_file_buffers(readFiles, report, signal).then((buffers) => {
+    throw_if_aborted(signal);
+
+    if (isSliceSeries) {
+      report({ stage: 'decoding', slicesDecoded: 0, bytesDecoded: 0 });
+      const sliceRegion = region && { ...region, z: [Math.max(region.z[0], 0), region.z[1]] };
+      return decode_image_slices(buffers, readFiles, zSpacing, report, signal, sliceRegion);
+    }
+
+    // DICOM series and volume files are decoded in one go, so the progress
+    // of this stage cannot be measured
+    report({ stage: 'decoding' });
+    if (format === 'dicom') {
+      // A series comes in the order of sort_dicom_series and only the slices
+      // of the region are read; their origin is already the first of them
+      const decode = itk.readImageDICOMArrayBufferSeries(buffers, isDicomSeries, readFiles.map((file) => file.name));
+      return abortable_itk_call(decode, signal, (result) => result.webWorkerPool.terminateWorkers())
+        .then(({ image, webWorkerPool }) => {
+          webWorkerPool.terminateWorkers();
+          if (!region) {
+            return image;
+          }
+          const cropped = crop_itk_image(image, isDicomSeries ? { ...region, z: [0, readFiles.length - 1] } : region);
+          return isDicomSeries ? { ...cropped, cropStart: [cropped.cropStart[0], cropped.cropStart[1], 0] } : cropped;
+        });
+    }
+
+    const decode = itk.readImageArrayBuffer(null, buffers[0], files[0].name);
+    return abortable_itk_call(decode, signal, (result) => result.webWorker.terminate())
+      .then(({ image, webWorker }) => {
+        webWorker.terminate();
+        return region ? crop_itk_image(image, region) : image;
+      });
+  });
+}
+
+/**
+ * Reads a detected channel into parts: [{ image, frames, name, color }]
+ * with one entry per channel held in the files, plus multiscale for
+ * OME-Zarr folders (see read_ome_zarr_image). frames holds one itk-wasm
+ * image per timepoint and image is the first of them.
+ */
+function read_channel_parts({ format, files, ome, timepoints }, name, zSpacing, report, signal, chooseRegion = null) {
+  if (format === 'ome-zarr') {
+    return read_ome_zarr_image(files, name, report, signal)
+      .then((read) => ({ ...read, region: null }));
+  }
+
+  // Timepoint folders are read one after the other, like the slices of a series
+  const pickedGroups = timepoints || [files];
+  const isDicomSeries = !ome && format === 'dicom' && pickedGroups[0].length > 1;
+  let groups = pickedGroups;
+
+  // A series is previewed from a few of its slices and only the chosen ones
+  // are read; anything else is previewed and cropped once it is decoded
+  const isSeries = !ome && pickedGroups[0].length > 1 && (SLICE_FILE_FORMATS.has(format) || format === 'dicom');
+  const sorted = isDicomSeries ? Promise.all(pickedGroups.map(sort_dicom_series)) : Promise.resolve(pickedGroups);
+  const regionBeforeReading = sorted.then((sortedGroups) => {
+    groups = sortedGroups;
+    return chooseRegion && isSeries
+      ? chooseRegion(() => read_series_preview(groups[0], report, signal))
+      : null;
+  });
+
+  return regionBeforeReading.then((seriesRegion) => {
+    throw_if_aborted(signal);
+    if (seriesRegion) {
+      report({ stage: 'reading', filesRead: 0, bytesRead: 0 });
+    }
+    return read_channel_frames(format, groups, name, zSpacing, report, signal, seriesRegion)
+      .then((frames) => ({ frames, seriesRegion }));
+  }).then(({ frames, seriesRegion }) => {
+    // OME-TIFF pages interleave the planes of every Z, channel and
+    // timepoint, so they are split into channels before any Z crop
+    const parts = ome
+      ? split_ome_tiff_parts(frames.map((frame, timepoint) => split_ome_tiff_image(frame, ome, groups[timepoint][0].name)))
+      : [{ image: frames[0], frames, name, color: null }];
+    if (!chooseRegion || isSeries) {
+      return { parts, multiscale: null, region: seriesRegion };
+    }
+    return chooseRegion(() => Promise.resolve(image_preview(parts[0].image))).then((region) => ({
+      parts: region ? parts.map((part) => crop_channel_part(part, region)) : parts,
+      multiscale: null,
+      region,
+    }));
+  });
+}
+
+/**
+ * Joins the OME-TIFF channels split from each timepoint file into one part
+ * per channel holding the frames of every timepoint.
+ */
+function split_ome_tiff_parts(splits) {
+  return splits[0].map((part, c) => {
+    const frames = splits.flatMap((split) => split[c].frames);
+    return { ...part, image: frames[0], frames };
+  });
+}
+
+function crop_channel_part(part, region) {
+  const frames = part.frames.map((frame) => crop_itk_image(frame, region));
+  return { ...part, image: frames[0], frames };
+}
+
+/**
+ * Reads the timepoint groups of a channel into one itk-wasm Image each,
+ * checking that they all have the same size.
+ */
+function read_channel_frames(format, groups, name, zSpacing, report, signal, region) {
+  const readTimepoint = (groupFiles, timepoint) => {
+    if (groups.length === 1) {
+      return read_channel_image(format, groupFiles, zSpacing, report, signal, region);
+    }
+    const timepointReport = (update) => report({ ...update, timepoint, timepointCount: groups.length });
+    timepointReport({
+      stage: 'reading',
+      fileCount: groupFiles.length,
+      totalBytes: groupFiles.reduce((total, file) => total + file.size, 0),
+      filesRead: 0,
+      bytesRead: 0,
+    });
+    return read_channel_image(format, groupFiles, zSpacing, timepointReport, signal, region);
+  };
+
+  return groups.reduce((previous, groupFiles, timepoint) => previous.then((frames) =>
+    readTimepoint(groupFiles, timepoint).then((itkImage) => [...frames, itkImage])
+  ), Promise.resolve([])).then((frames) => {
+    const size = frames[0].size.join(' × ');
+    frames.forEach((frame, timepoint) => {
+      if (frame.size.join(' × ') !== size) {
+        throw viewer_error('dimension-mismatch',
+          `Timepoint ${timepoint + 1} of channel "${name}" is ${frame.size.join(' × ')} voxels, `
+          + `but the first timepoint is ${size}`);
+      }
+    });
+    return frames;
+  });
+}
+
+// Names and colours given to the parts split out of colour pixels
+const COMPONENT_LABELS = {
+  RGB: [['R', '#ff0000'], ['G', '#00ff00'], ['B', '#0000ff']],
+  RGBA: [['R', '#ff0000'], ['G', '#00ff00'], ['B', '#0000ff'], ['A', '#ffffff']],
+};
+
+/**
+ * Splits a part with several components per voxel (RGB, RGBA or vector
+ * pixels) into one scalar part per component, for each of its timepoints.
+ * Colour components get the colour of their primary, other components are
+ * numbered C1..CN and keep the colour of the part. Scalar parts are
+ * returned as they are.
+ */
+function split_image_components(part) {
+  const { image } = part;
+  const components = image.imageType.components;
+  if (components <= 1) {
+    return [part];
+  }
+  const labels = COMPONENT_LABELS[image.imageType.pixelType];
+  const componentImage = (frame, component) => {
+    const voxels = frame.data.length / components;
+    const data = new frame.data.constructor(voxels);
+    for (let voxel = 0, offset = component; voxel < voxels; voxel++, offset += components) {
+      data[voxel] = frame.data[offset];
+    }
+    return { ...frame, imageType: { ...frame.imageType, pixelType: 'Scalar', components: 1 }, data };
+  };
+
+  return Array.from({ length: components }, (_, component) => {
+    const frames = (part.frames || [image]).map((frame) => componentImage(frame, component));
+    const [label, color] = labels ? labels[component] : [`C${component + 1}`, part.color];
+    return { image: frames[0], frames, name: `${part.name} ${label}`, color };
+  });
+}
+
+/**
+ * Converts one part of a channel to vtkImageData.
+ */
+function convert_channel_part({ image, name }) {
+  const imageData = convertItkToVtkImage(image);
+  if (!imageData) {
+    throw viewer_error('unsupported-format', `Channel "${name}" has an unsupported pixel type`);
+  }
+  return imageData;
+}
+
+/**
+ * Adds the parsed OME-XML of single-file TIFF channels (or of the first
+ * timepoint folder holding a single TIFF) as channel.ome, null for every
+ * other channel.
+ */
+function attach_ome_metadata(channel) {
+  const [firstFiles] = channel.timepoints || [channel.files];
+  if (channel.format !== 'tiff' || firstFiles.length !== 1) {
+    return Promise.resolve({ ...channel, ome: null });
+  }
+  return read_ome_tiff_metadata(firstFiles[0]).then((ome) => ({ ...channel, ome }));
+}
+
+/**
+ * Converts the parts of a channel to vtkImageData, one per timepoint, with
+ * the spacing and origin in micrometres where their unit is known: from
+ * voxelSpacing, or from the format for spacing itk read from the files.
+ * Returns [{ name, color, frames }].
+ */
+function convert_channel_parts(parts, voxelSpacing, format) {
+  const itkFactor = MICROMETRES_PER_UNIT[ITK_SPACING_UNITS[format]] || null;
+  return parts.map(({ image, frames, name, color }) => ({
+    name,
+    color,
+    frames: (frames || [image]).map((frame) => {
+      const frameData = convert_channel_part({ image: frame, name });
+      if (itkFactor) {
+        frameData.setSpacing(...frameData.getSpacing().map((value) => value * itkFactor));
+        frameData.setOrigin(...frameData.getOrigin().map((value) => value * itkFactor));
+      }
+      if (voxelSpacing) {
+        const factor = MICROMETRES_PER_UNIT[voxelSpacing.unit];
+        frameData.setSpacing(...voxelSpacing.spacing.map((value) => value * factor));
+      }
+      // A cropped frame starts where its first voxel was in the whole volume
+      if (frame.cropStart) {
+        const [i = 0, j = 0, k = 0] = frame.cropStart;
+        frameData.setOrigin(...frameData.indexToWorld([i, j, k]));
+      }
+      return frameData;
+    }),
+  }));
+}
+
+function channel_bytes(converted) {
+  return converted.reduce((total, part) =>
+    part.frames.reduce((sum, imageData) => sum + imageData.getPointData().getScalars().getData().byteLength, total), 0);
+}
+
+/**
+ * Loads a list of channels into vtkImageData.
+ *
+ * Resolves with { images, metadata } in the order of channelFileLists.
+ * A file holding several channels (OME-TIFF, OME-Zarr) gives one image per
+ * channel, so metadata[i].sourceIndex tells which picked channel images[i]
+ * came from (partIndex is its place within it), and metadata[i].color holds
+ * the colour stored in the file, if any. For OME-Zarr, metadata[i].multiscale
+ * is shared by the parts of a source and loads its other resolution levels.
+ * metadata[i].frames holds one vtkImageData per timepoint of a time-lapse
+ * channel (timepoint folders or a T dimension), starting with images[i].
+ * Rejects with the first detection or reader error, or with an AbortError
+ * once options.signal is aborted.
+ * options.requestSpacing replaces the spacing dialog (it receives the
+ * header prefill and resolves with { spacing, unit }).
+ * options.componentMode 'split' turns every component of RGB, RGBA and
+ * vector images into a channel of its own; any other value keeps them as
+ * one multi-component image (metadata[i].components > 1).
+ * options.useCache looks every channel up in the volume cache (see
+ * volume_cache.js) before asking for its spacing and decoding it, and
+ * stores the channels it decodes; metadata[i].cached tells a hit.
+ * options.requestRegion lets the user crop the channels at load time: it
+ * receives the preview of the first channel read (see image_preview) and
+ * resolves with a region, or null for the whole volume. The region applies
+ * to every channel, is kept in metadata[i].region, and turns the cache off.
+ * options.onProgress(index, progress) is called whenever channel index moves
+ * on; progress holds name, stage ('hashing', 'previewing', 'reading',
+ * 'decoding', 'converting', 'done' or 'cached'), fileCount, totalBytes and the counters
+ * of the current stage.
+ */
+function load_image_channels(channelFileLists, options = {}) {
+  const requestSpacing = options.requestSpacing || show_spacing_dialog;
+  const onProgress = options.onProgress || (() => {});
+  const signal = options.signal || null;
+  const componentMode = options.componentMode || 'keep';
+  const requestRegion = options.requestRegion || null;
+  // The cache holds whole volumes, keyed by their files only
+  const useCache = Boolean(options.useCache) && !requestRegion;
+  const names = Array.from(channelFileLists, channel_name);
+
+  const detections = Array.from(channelFileLists, (fileList, index) =>
+    expand_channel_archives(fileList, names[index])
+      .then((files) => detect_channel_format(files, names[index]))
+      .then(attach_ome_metadata)
+  );
+
+  return Promise.all(detections).then((channels) => {
+    const reports = channels.map(({ files }, index) => {
+      const progress = {
+        name: names[index],
+        stage: 'reading',
+        fileCount: files.length,
+        totalBytes: files.reduce((total, file) => total + file.size, 0),
+        filesRead: 0,
+        bytesRead: 0,
+      };
+      return (update) => {
+        Object.assign(progress, update);
+        onProgress(index, { ...progress });
+      };
+    });
+
+    // OME-Zarr folders are read a level at a time, so they are not cached
+    const lookups = channels.map((channel, index) => {
+      if (!useCache || channel.format === 'ome-zarr') {
+        return Promise.resolve({ key: null, hit: null });
+      }
+      // Volumes cached before spacings were kept in µm have another key
+      return volume_cache_key(channel.files, { componentMode, spacingUnit: 'µm' }, reports[index], signal)
+        .then((key) => read_cached_volume(key).then((hit) => ({ key, hit })))
+        .catch((error) => {
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+          report_volume_cache_problem(`Could not look up "${names[index]}" in the cache`, error);
+          return { key: null, hit: null };
+        });
+    });
+
+    // Every channel is cropped to the region drawn on the first preview
+    let regionChoice = null;
+    const chooseRegion = requestRegion && ((makePreview) => {
+      if (!regionChoice) {
+        regionChoice = makePreview().then(requestRegion);
+      }
+      return regionChoice;
+    });
+
+    const channelOutputs = (index, { converted, multiscale, spacingUnit, cachedHit, region = null }) =>
+      converted.map(({ name, color, frames }, partIndex) => {
+        const [imageData] = frames;
+        return {
+          imageData,
+          metadata: {
+            name,
+            color,
+            sourceIndex: index,
+            partIndex,
+            multiscale,
+            frames,
+            cached: cachedHit,
+            region,
+            format: channels[index].format,
+            fileCount: channels[index].files.length,
+            components: imageData.getPointData().getScalars().getNumberOfComponents(),
+            dimensions: imageData.getDimensions(),
+            spacing: imageData.getSpacing(),
+            spacingUnit,
+            origin: imageData.getOrigin(),
+            direction: imageData.getDirection(),
+          },
+        };
+      });
+
+    return Promise.all(lookups).then((cached) => {
+      // Cached channels keep the spacing they were stored with
+      const misses = channels.filter((_, index) => !cached[index].hit);
+      return resolve_voxel_spacing(misses, requestSpacing).then((missSpacings) =>
+        Promise.all(channels.map((channel, index) => {
+          const { format, files } = channel;
+          const report = reports[index];
+          const { key, hit } = cached[index];
+
+          if (hit) {
+            report({ stage: 'cached', bytesDecoded: hit.bytes });
+            return channelOutputs(index, {
+              converted: hit.parts, multiscale: null, spacingUnit: hit.spacingUnit, cachedHit: true,
+            });
+          }
+
+          const voxelSpacing = missSpacings[misses.indexOf(channel)];
+          const zSpacing = voxelSpacing ? voxelSpacing.spacing[2] : 1.0;
+          report({ stage: 'reading', filesRead: 0, bytesRead: 0 });
+          return read_channel_parts(channel, names[index], zSpacing, report, signal, chooseRegion).then((read) => {
+            throw_if_aborted(signal);
+            report({ stage: 'converting' });
+            const { multiscale, region } = read;
+            const parts = componentMode === 'split' ? read.parts.flatMap(split_image_components) : read.parts;
+            const converted = convert_channel_parts(parts, voxelSpacing, format);
+            const spacingUnit = voxelSpacing || ITK_SPACING_UNITS[format] ? 'µm' : multiscale && multiscale.spacingUnit;
+            report({ stage: 'done', bytesDecoded: channel_bytes(converted) });
+
+            if (key) {
+              store_cached_volume(key, { name: names[index], format, fileCount: files.length, spacingUnit }, converted)
+                .catch((error) => report_volume_cache_problem(`Could not cache "${names[index]}"`, error));
+            }
+            return channelOutputs(index, { converted, multiscale, spacingUnit, cachedHit: false, region });
+          });
+        }))
+      );
+    });
+  }).then((sources) => {
+    // Promise.all keeps the input order, so channel colours stay with their channel
+    const channels = sources.flat();
+    return {
+      images: channels.map((channel) => channel.imageData),
+      metadata: channels.map((channel) => channel.metadata),
+    };
+  });
+}
+
+/**********************************************************************/
+/***************** Resampling onto a common grid **********************/
+/**********************************************************************/
+
+/*
+ * Channels acquired with another size, spacing or position than the others
+ * only overlap in world space, so the clipping sliders, the tri-planar
+ * slices and the MPR cursors land on different voxels in each of them.
+ * Resampling them onto the grid of one reference channel gives every
+ * channel the same dimensions, spacing, origin and direction.
+*/
+
+function same_image_grid(a, b) {
+  const close = (first, second) => first.every((value, idx) =>
+    Math.abs(value - second[idx]) <= 1e-6 * Math.max(1, Math.abs(value)));
+  return close(a.getDimensions(), b.getDimensions()) && close(a.getSpacing(), b.getSpacing())
+    && close(a.getOrigin(), b.getOrigin()) && close(Array.from(a.getDirection()), Array.from(b.getDirection()));
+}
+
+/**
+ * Samples imageData at every voxel of the reference grid, with the nearest
+ * voxel ('nearest') or trilinear interpolation ('linear'). Voxels of the
+ * reference grid outside imageData are 0.
+ */
+function resample_image_data(imageData, reference, method) {
+  const outDims = reference.getDimensions();
+  const dims = imageData.getDimensions();
+  const scalars = imageData.getPointData().getScalars();
+  const values = scalars.getData();
+  const components = scalars.getNumberOfComponents();
+  const output = new values.constructor(outDims[0] * outDims[1] * outDims[2] * components);
+  const isFloat = values instanceof Float32Array || values instanceof Float64Array;
+
+  // Both grids are affine, so the source index moves by a fixed step along
+  // each axis of the reference grid
+  const sourceIndex = (index) => imageData.worldToIndex(reference.indexToWorld(index));
+  const start = sourceIndex([0, 0, 0]);
+  const steps = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map((unit) =>
+    sourceIndex(unit).map((value, axis) => value - start[axis]));
+  const voxelValue = (i, j, k, c) => values[((k * dims[1] + j) * dims[0] + i) * components + c];
+  const point = [0, 0, 0];
+
+  let out = 0;
+  for (let z = 0; z < outDims[2]; z++) {
+    for (let y = 0; y < outDims[1]; y++) {
+      for (let x = 0; x < outDims[0]; x++) {
+        let inside = true;
+        for (let axis = 0; axis < 3; axis++) {
+          point[axis] = start[axis] + x * steps[0][axis] + y * steps[1][axis] + z * steps[2][axis];
+          inside = inside && point[axis] >= -0.5 && point[axis] <= dims[axis] - 0.5;
+        }
+        if (!inside) {
+          out += components;
+          continue;
+        }
+        const [i, j, k] = point.map((value, axis) => Math.min(Math.max(value, 0), dims[axis] - 1));
+
+        if (method === 'nearest') {
+          for (let c = 0; c < components; c++) {
+            output[out++] = voxelValue(Math.round(i), Math.round(j), Math.round(k), c);
+          }
+          continue;
+        }
+        const [i0, j0, k0] = [Math.floor(i), Math.floor(j), Math.floor(k)];
+        const [i1, j1, k1] = [Math.min(i0 + 1, dims[0] - 1), Math.min(j0 + 1, dims[1] - 1), Math.min(k0 + 1, dims[2] - 1)];
+        const [fi, fj, fk] = [i - i0, j - j0, k - k0];
+        for (let c = 0; c < components; c++) {
+          const front = (voxelValue(i0, j0, k0, c) * (1 - fi) + voxelValue(i1, j0, k0, c) * fi) * (1 - fj)
+            + (voxelValue(i0, j1, k0, c) * (1 - fi) + voxelValue(i1, j1, k0, c) * fi) * fj;
+          const back = (voxelValue(i0, j0, k1, c) * (1 - fi) + voxelValue(i1, j0, k1, c) * fi) * (1 - fj)
+            + (voxelValue(i0, j1, k1, c) * (1 - fi) + voxelValue(i1, j1, k1, c) * fi) * fj;
+          const value = front * (1 - fk) + back * fk;
+          output[out++] = isFloat ? value : Math.round(value);
+        }
+      }
+    }
+  }
+
+  const resampled = vtk.Common.DataModel.vtkImageData.newInstance({
+    origin: reference.getOrigin(),
+    spacing: reference.getSpacing(),
+  });
+  resampled.setDirection(reference.getDirection());
+  resampled.setDimensions(...outDims);
+  resampled.getPointData().setScalars(vtk.Common.Core.vtkDataArray.newInstance({
+    name: scalars.getName(),
+    values: output,
+    numberOfComponents: components,
+  }));
+  return resampled;
+}
+
+/**
+ * Resamples every timepoint of the channels of { images, metadata } whose
+ * grid differs from the first timepoint of channel referenceIndex, and
+ * records metadata[i].resampling = { referenceIndex, method, dimensions,
+ * spacing, origin } with the grid the channel was loaded with. Resolution
+ * levels are dropped once channels are resampled, since loading another
+ * level would bring back their own grid.
+ */
+function resample_loaded_channels(loaded, referenceIndex, method) {
+  const reference = loaded.metadata[referenceIndex].frames[0];
+  const resampled = loaded.metadata.filter((channel, index) =>
+    index !== referenceIndex && !channel.frames.every((imageData) => same_image_grid(imageData, reference)));
+  if (resampled.length === 0) {
+    return loaded;
+  }
+
+  resampled.forEach((channel) => {
+    const index = loaded.metadata.indexOf(channel);
+    channel.resampling = {
+      referenceIndex, method, dimensions: channel.dimensions, spacing: channel.spacing, origin: channel.origin,
+    };
+    channel.frames = channel.frames.map((imageData) => resample_image_data(imageData, reference, method));
+    channel.dimensions = reference.getDimensions();
+    channel.spacing = reference.getSpacing();
+    channel.origin = reference.getOrigin();
+    channel.direction = reference.getDirection();
+    loaded.images[index] = channel.frames[0];
+  });
+  loaded.metadata.forEach((channel) => {
+    channel.multiscale = null;
+  });
+  return loaded;
+}
+
+/**********************************************************************/
+/***************** Volume size limits *********************************/
+/**********************************************************************/
+
+/*
+ * A channel larger than MAX_3D_TEXTURE_SIZE along any axis cannot be
+ * uploaded at all, and a set of channels larger than the graphics memory
+ * crashes the tab in volumeMapper.setInputData. Such channels are
+ * downsampled before rendering; their full resolution voxels are kept so a
+ * clipped region can be shown at full resolution later.
+*/
+
+// Share of the device memory the volume textures may take: browsers do not
+// tell how much memory the graphics card has
+const TEXTURE_MEMORY_FRACTION = 0.25;
+const DEFAULT_DEVICE_MEMORY_GB = 4;
+
+let volume_limits = null;
+
+/**
+ * Returns { maxTextureSize, textureBytes }: MAX_3D_TEXTURE_SIZE of a
+ * throwaway WebGL2 context (null without WebGL2) and the bytes of volume
+ * textures the device is expected to handle.
+ */
+function volume_size_limits() {
+  if (!volume_limits) {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    const maxTextureSize = gl ? gl.getParameter(gl.MAX_3D_TEXTURE_SIZE) : null;
+    if (gl && gl.getExtension('WEBGL_lose_context')) {
+      gl.getExtension('WEBGL_lose_context').loseContext();
+    }
+    const deviceMemory = navigator.deviceMemory || DEFAULT_DEVICE_MEMORY_GB;
+    volume_limits = { maxTextureSize, textureBytes: deviceMemory * 1024 ** 3 * TEXTURE_MEMORY_FRACTION };
+  }
+  return volume_limits;
+}
+
+function texture_bytes_per_voxel(imageData) {
+  const scalars = imageData.getPointData().getScalars();
+  // 8 bit data stays 8 bit on the graphics card, the rest may become floats
+  return scalars.getNumberOfComponents() * (scalars.getData().BYTES_PER_ELEMENT === 1 ? 1 : 4);
+}
+
+/**
+ * Works out one integer downsampling factor per axis for all channels, so
+ * that each fits in a 3D texture and together they fit in the texture
+ * memory. The axis that stays longest is reduced first, which keeps thin
+ * Z stacks at full depth. Returns null when the channels fit as they are,
+ * or { factors, reasons } with a readable reason per exceeded limit.
+ */
+function volume_downsampling_factors(images, limits) {
+  const dimensions = images.map((imageData) => imageData.getDimensions());
+  const largest = [0, 1, 2].map((axis) => Math.max(...dimensions.map((dims) => dims[axis])));
+  const textureBytes = (factors) => images.reduce((total, imageData, idx) =>
+    total + dimensions[idx].reduce((voxels, size, axis) => voxels * Math.ceil(size / factors[axis]), 1)
+      * texture_bytes_per_voxel(imageData), 0);
+  const factors = [1, 1, 1];
+  const reasons = [];
+
+  if (limits.maxTextureSize) {
+    largest.forEach((size, axis) => {
+      factors[axis] = Math.ceil(size / limits.maxTextureSize);
+    });
+    if (factors.some((factor) => factor > 1)) {
+      reasons.push(`${largest.join(' × ')} voxels exceed the ${limits.maxTextureSize} voxel 3D texture limit `
+        + 'of this graphics card');
+    }
+  }
+  if (textureBytes(factors) > limits.textureBytes) {
+    reasons.push(`${format_bytes(textureBytes([1, 1, 1]))} of volume textures is more than the `
+      + `${format_bytes(limits.textureBytes)} this device is expected to handle`);
+    while (textureBytes(factors) > limits.textureBytes) {
+      const extent = (axis) => Math.ceil(largest[axis] / factors[axis]);
+      const axis = [0, 1, 2].reduce((longest, candidate) => (extent(candidate) > extent(longest) ? candidate : longest), 0);
+      factors[axis] += 1;
+    }
+  }
+  return reasons.length ? { factors, reasons } : null;
+}
+
+/**
+ * Downsamples a vtkImageData by integer factors per axis, either averaging
+ * every block of voxels ('average') or keeping the first voxel of each
+ * block ('stride'). The spacing grows by the factors, so distances measured
+ * on the result stay correct, and averaged voxels sit at their block centre.
+ */
+function downsample_image_data(imageData, factors, method) {
+  const dims = imageData.getDimensions();
+  const outDims = dims.map((size, axis) => Math.ceil(size / factors[axis]));
+  const scalars = imageData.getPointData().getScalars();
+  const values = scalars.getData();
+  const components = scalars.getNumberOfComponents();
+  const output = new values.constructor(outDims[0] * outDims[1] * outDims[2] * components);
+  const isFloat = values instanceof Float32Array || values instanceof Float64Array;
+  const [fx, fy, fz] = factors;
+
+  let out = 0;
+  for (let z = 0; z < outDims[2]; z++) {
+    for (let y = 0; y < outDims[1]; y++) {
+      for (let x = 0; x < outDims[0]; x++) {
+        if (method === 'stride') {
+          const voxel = ((z * fz * dims[1]) + y * fy) * dims[0] + x * fx;
+          for (let c = 0; c < components; c++) {
+            output[out++] = values[voxel * components + c];
+          }
+          continue;
+        }
+        const zEnd = Math.min((z + 1) * fz, dims[2]);
+        const yEnd = Math.min((y + 1) * fy, dims[1]);
+        const xEnd = Math.min((x + 1) * fx, dims[0]);
+        const count = (zEnd - z * fz) * (yEnd - y * fy) * (xEnd - x * fx);
+        for (let c = 0; c < components; c++) {
+          let sum = 0;
+          for (let k = z * fz; k < zEnd; k++) {
+            for (let j = y * fy; j < yEnd; j++) {
+              for (let i = x * fx; i < xEnd; i++) {
+                sum += values[((k * dims[1] + j) * dims[0] + i) * components + c];
+              }
+            }
+          }
+          output[out++] = isFloat ? sum / count : Math.round(sum / count);
+        }
+      }
+    }
+  }
+
+  const blockCentre = method === 'stride' ? [0, 0, 0] : factors.map((factor) => (factor - 1) / 2);
+  const downsampled = vtk.Common.DataModel.vtkImageData.newInstance({
+    origin: imageData.indexToWorld(blockCentre),
+    spacing: imageData.getSpacing().map((value, axis) => value * factors[axis]),
+  });
+  downsampled.setDirection(imageData.getDirection());
+  downsampled.setDimensions(...outDims);
+  downsampled.getPointData().setScalars(vtk.Common.Core.vtkDataArray.newInstance({
+    name: scalars.getName(),
+    values: output,
+    numberOfComponents: components,
+  }));
+  return downsampled;
+}
+
+/**
+ * Crops a vtkImageData to the voxels inside world bounds
+ * [xmin, xmax, ymin, ymax, zmin, zmax]. Returns null when the bounds miss
+ * the image.
+ */
+function crop_image_data(imageData, bounds) {
+  const dims = imageData.getDimensions();
+  const indexBounds = imageData.worldToIndexBounds(bounds);
+  const extent = [0, 1, 2].flatMap((axis) => [
+    Math.max(Math.floor(Math.min(indexBounds[axis * 2], indexBounds[axis * 2 + 1])), 0),
+    Math.min(Math.ceil(Math.max(indexBounds[axis * 2], indexBounds[axis * 2 + 1])), dims[axis] - 1),
+  ]);
+  if ([0, 1, 2].some((axis) => extent[axis * 2] > extent[axis * 2 + 1])) {
+    return null;
+  }
+
+  const outDims = [0, 1, 2].map((axis) => extent[axis * 2 + 1] - extent[axis * 2] + 1);
+  const scalars = imageData.getPointData().getScalars();
+  const values = scalars.getData();
+  const components = scalars.getNumberOfComponents();
+  const output = new values.constructor(outDims[0] * outDims[1] * outDims[2] * components);
+  const rowLength = outDims[0] * components;
+  for (let z = 0; z < outDims[2]; z++) {
+    for (let y = 0; y < outDims[1]; y++) {
+      const start = (((z + extent[4]) * dims[1] + y + extent[2]) * dims[0] + extent[0]) * components;
+      output.set(values.subarray(start, start + rowLength), (z * outDims[1] + y) * rowLength);
+    }
+  }
+
+  const cropped = vtk.Common.DataModel.vtkImageData.newInstance({
+    origin: imageData.indexToWorld([extent[0], extent[2], extent[4]]),
+    spacing: imageData.getSpacing(),
+  });
+  cropped.setDirection(imageData.getDirection());
+  cropped.setDimensions(...outDims);
+  cropped.getPointData().setScalars(vtk.Common.Core.vtkDataArray.newInstance({
+    name: scalars.getName(),
+    values: output,
+    numberOfComponents: components,
+  }));
+  return cropped;
+}
+
+/**
+ * Replaces the frames of every channel by downsampled ones, keeping the
+ * full resolution frames in metadata[i].downsampling.fullResolution
+ * (with factors and method). loaded is what load_image_channels resolved
+ * with and is updated in place.
+ */
+function downsample_loaded_channels(loaded, factors, method) {
+  loaded.metadata.forEach((channel, index) => {
+    const fullResolution = channel.frames;
+    channel.frames = fullResolution.map((imageData) => downsample_image_data(imageData, factors, method));
+    channel.downsampling = { factors, method, fullResolution };
+    channel.dimensions = channel.frames[0].getDimensions();
+    channel.spacing = channel.frames[0].getSpacing();
+    channel.origin = channel.frames[0].getOrigin();
+    loaded.images[index] = channel.frames[0];
+  });
+  return loaded;
+}
+
+/**
+ * Asks how to deal with channels that are too large for the graphics card.
+ * Resolves with { factors, method }, pre-filled with the suggested factors,
+ * or with null to render at full size anyway.
+ */
+function show_downsampling_dialog(suggestion) {
+  const dialog = $(`
+    <div id="downsampling_dialog" class="loader_dialog">
+      <div class="loader_dialog_content">
+        <p><b>Volume too large</b></p>
+        <p class="loader_dialog_hint"></p>
+        <table>
+          <tbody>
+          <tr><td>X</td><td><input class="downsampling_factor" type="number" min="1" step="1"></td></tr>
+          <tr><td>Y</td><td><input class="downsampling_factor" type="number" min="1" step="1"></td></tr>
+          <tr><td>Z</td><td><input class="downsampling_factor" type="number" min="1" step="1"></td></tr>
+          <tr>
+            <td>Method</td>
+            <td>
+              <select id="downsampling_method">
+                <option value="average" selected="selected">Block average</option>
+                <option value="stride">Every n-th voxel</option>
+              </select>
+            </td>
+          </tr>
+          </tbody>
+        </table>
+        <button id="downsampling_apply">Downsample</button>
+        <button id="downsampling_skip" title="The browser tab may crash">Render at full size</button>
+      </div>
+    </div>`).appendTo('body');
+
+  const inputs = dialog.find('.downsampling_factor');
+  dialog.find('.loader_dialog_hint').text(`${suggestion.reasons.join('; ')}. `
+    + 'Please choose a downsampling factor per axis; the voxel spacing is scaled to match.');
+  inputs.each((axis, input) => {
+    $(input).val(suggestion.factors[axis]);
+  });
+
+  return new Promise((resolve) => {
+    dialog.find('#downsampling_apply').on('click', () => {
+      const factors = inputs.map((axis, input) => Number($(input).val())).get();
+      if (factors.some((factor) => !Number.isInteger(factor) || factor < 1)) {
+        dialog.find('.loader_dialog_hint').text('Factors must be whole numbers of at least 1.');
+        return;
+      }
+      dialog.remove();
+      resolve({ factors, method: dialog.find('#downsampling_method').val() });
+    });
+    dialog.find('#downsampling_skip').on('click', () => {
+      dialog.remove();
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Checks loaded channels against the limits of the graphics card and
+ * downsamples them when needed: right away with the suggested factors when
+ * automatic is set, otherwise as chosen in the downsampling dialog.
+ * Resolves with loaded, updated in place.
+ */
+function fit_channels_to_gpu(loaded, automatic) {
+  const suggestion = volume_downsampling_factors(loaded.images, volume_size_limits());
+  if (!suggestion) {
+    return Promise.resolve(loaded);
+  }
+  const choice = automatic
+    ? Promise.resolve({ factors: suggestion.factors, method: 'average' })
+    : show_downsampling_dialog(suggestion);
+  return choice.then((chosen) => {
+    if (!chosen || chosen.factors.every((factor) => factor === 1)) {
+      return loaded;
+    }
+    return downsample_loaded_channels(loaded, chosen.factors, chosen.method);
+  });
+}
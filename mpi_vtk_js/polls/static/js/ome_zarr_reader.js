@@ -0,0 +1,528 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER OME-Zarr Reader *****************/
+/************** Multiscale OME-NGFF images from local folders *******/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * An OME-Zarr image is a folder: .zattrs holds the OME-NGFF "multiscales"
+ * metadata, and every resolution level is a Zarr v2 array (.zarray plus one
+ * file per chunk). read_ome_zarr_image reads one level of a picked or
+ * dropped folder into itk-wasm shaped images, one per channel and
+ * timepoint, which load_image_channels converts like any other image. The
+ * returned multiscale object loads the other levels on demand.
+*/
+
+/**********************************************************************/
+/***************** Zarr folder layout *********************************/
+/**********************************************************************/
+
+// Level picked first: the finest one with at most this many voxels per channel
+const OME_ZARR_START_VOXELS = 256 * 256 * 256;
+
+// OME-NGFF space units in micrometres
+const OME_ZARR_UNITS = {
+  angstrom: 0.0001,
+  nanometer: 0.001,
+  micrometer: 1,
+  millimeter: 1000,
+  centimeter: 10000,
+  meter: 1000000,
+};
+
+/**
+ * Maps the files of a Zarr folder by their path inside the folder, i.e.
+ * below the shallowest folder holding a Zarr metadata file.
+ */
+function zarr_file_map(files) {
+  const paths = files.map((file) => file_relative_path(file).split('/'));
+  const rootDepth = Math.min(...paths
+    .filter((parts) => ZARR_METADATA_FILE_NAMES.has(parts[parts.length - 1].toLowerCase()))
+    .map((parts) => parts.length - 1));
+
+  const fileMap = new Map();
+  files.forEach((file, idx) => {
+    fileMap.set(paths[idx].slice(rootDepth).join('/'), file);
+  });
+  return {
+    fileMap,
+    rootName: rootDepth > 0 ? paths[0][rootDepth - 1] : null,
+  };
+}
+
+function read_zarr_json(fileMap, path) {
+  const file = fileMap.get(path);
+  if (!file) {
+    return Promise.resolve(null);
+  }
+  return file.text().then((text) => JSON.parse(text));
+}
+
+/**
+ * Finds the multiscales group of the folder: the folder itself, or the first
+ * image of a bioformats2raw export. Resolves with { groupPath, attributes }.
+ */
+function find_multiscales_group(fileMap, name) {
+  if (fileMap.has('zarr.json')) {
+    return Promise.reject(viewer_error('unsupported-format', `"${name}" is a Zarr v3 (OME-NGFF 0.5) folder, which is not supported yet`));
+  }
+  return read_zarr_json(fileMap, '.zattrs').then((attributes) => {
+    if (attributes && attributes.multiscales) {
+      return { groupPath: '', attributes };
+    }
+    if (attributes && attributes['bioformats2raw.layout']) {
+      return read_zarr_json(fileMap, '0/.zattrs').then((imageAttributes) => {
+        if (!imageAttributes || !imageAttributes.multiscales) {
+          throw viewer_error('unsupported-format', `"${name}" has no OME-NGFF image in its first series`);
+        }
+        return { groupPath: '0/', attributes: imageAttributes };
+      });
+    }
+    throw viewer_error('unsupported-format', `"${name}" is a Zarr folder without OME-NGFF multiscales metadata`);
+  });
+}
+
+/**
+ * Reads the axes, levels and channel display settings of an OME-NGFF image.
+ * Every level gets its array header, voxel size along x, y, z (in µm when
+ * the axes have units) and origin.
+ */
+function read_multiscales(fileMap, groupPath, attributes, name) {
+  const multiscale = attributes.multiscales[0];
+  // Versions 0.1 and 0.2 have no axes and are always 5D
+  const axes = (multiscale.axes || ['t', 'c', 'z', 'y', 'x']).map((axis) =>
+    (typeof axis === 'string' ? { name: axis } : axis));
+  const axisIndex = {};
+  axes.forEach((axis, idx) => {
+    axisIndex[axis.name.toLowerCase()] = idx;
+  });
+
+  const unitFactor = (axisName) => {
+    const axis = axes[axisIndex[axisName]];
+    return axis && axis.unit ? OME_ZARR_UNITS[axis.unit] || null : null;
+  };
+  const hasUnits = ['x', 'y', 'z'].some((axisName) => unitFactor(axisName));
+
+  const transformOf = (transforms, type) => {
+    const transform = (transforms || []).find((candidate) => candidate.type === type);
+    return transform ? transform[type] : null;
+  };
+  const globalScale = transformOf(multiscale.coordinateTransformations, 'scale');
+
+  return Promise.all(multiscale.datasets.map((dataset) =>
+    read_zarr_json(fileMap, `${groupPath}${dataset.path}/.zarray`).then((header) => {
+      if (!header) {
+        throw viewer_error('invalid-input', `"${name}" is missing the array of level "${dataset.path}"`, [
+          `Expected file: ${groupPath}${dataset.path}/.zarray`,
+        ]);
+      }
+      return { dataset, header };
+    })
+  )).then((levels) => {
+    const baseShape = levels[0].header.shape;
+    return {
+      axisIndex,
+      spacingUnit: hasUnits ? 'µm' : null,
+      omeroChannels: (attributes.omero && attributes.omero.channels) || [],
+      levels: levels.map(({ dataset, header }) => {
+        const scale = transformOf(dataset.coordinateTransformations, 'scale');
+        const translation = transformOf(dataset.coordinateTransformations, 'translation');
+        // Older versions have no transforms: the scale then follows from the shapes
+        const spacing = ['x', 'y', 'z'].map((axisName) => {
+          const idx = axisIndex[axisName];
+          if (idx === undefined) {
+            return 1;
+          }
+          const value = scale ? scale[idx] : baseShape[idx] / header.shape[idx];
+          return value * (globalScale ? globalScale[idx] : 1) * (unitFactor(axisName) || 1);
+        });
+        const origin = ['x', 'y', 'z'].map((axisName) => {
+          const idx = axisIndex[axisName];
+          return idx === undefined || !translation ? 0 : translation[idx] * (unitFactor(axisName) || 1);
+        });
+        return { path: `${groupPath}${dataset.path}`, header, spacing, origin };
+      }),
+    };
+  });
+}
+
+/**
+ * Voxels per channel of a level (the x, y and z extents multiplied).
+ */
+function zarr_level_voxels(level, axisIndex) {
+  return ['x', 'y', 'z'].reduce((total, axisName) =>
+    total * (axisIndex[axisName] === undefined ? 1 : level.header.shape[axisIndex[axisName]]), 1);
+}
+
+/**********************************************************************/
+/***************** Chunk decoders *************************************/
+/**********************************************************************/
+
+const ZARR_TYPED_ARRAYS = {
+  i1: Int8Array,
+  u1: Uint8Array,
+  b1: Uint8Array,
+  i2: Int16Array,
+  u2: Uint16Array,
+  i4: Int32Array,
+  u4: Uint32Array,
+  f4: Float32Array,
+  f8: Float64Array,
+};
+
+// Blosc compressor codes (bits 5-7 of the header flags) that can be decoded here
+const BLOSC_COMPRESSORS = { 1: 'lz4', 3: 'zlib' };
+
+/**
+ * Inflates zlib ("deflate") or gzip data with the browser's
+ * DecompressionStream.
+ */
+function inflate_bytes(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Response(stream).arrayBuffer().then((buffer) => new Uint8Array(buffer));
+}
+
+/**
+ * Decodes one LZ4 block (no frame header) into output and returns the
+ * number of bytes written.
+ */
+function lz4_decode_block(input, output) {
+  let src = 0;
+  let dst = 0;
+  while (src < input.length) {
+    const token = input[src++];
+    let literalLength = token >> 4;
+    if (literalLength === 15) {
+      let extra;
+      do {
+        extra = input[src++];
+        literalLength += extra;
+      } while (extra === 255);
+    }
+    output.set(input.subarray(src, src + literalLength), dst);
+    src += literalLength;
+    dst += literalLength;
+    if (src >= input.length) {
+      break; // The last sequence only has literals
+    }
+
+    const offset = input[src] | (input[src + 1] << 8);
+    src += 2;
+    let matchLength = token & 15;
+    if (matchLength === 15) {
+      let extra;
+      do {
+        extra = input[src++];
+        matchLength += extra;
+      } while (extra === 255);
+    }
+    matchLength += 4;
+    // Matches may overlap the bytes they produce, so copy byte by byte
+    for (let k = 0; k < matchLength; k++) {
+      output[dst] = output[dst - offset];
+      dst++;
+    }
+  }
+  return dst;
+}
+
+/**
+ * Reverses the Blosc byte shuffle of one block.
+ */
+function blosc_unshuffle(block, typesize, output, outputOffset) {
+  const elements = Math.floor(block.length / typesize);
+  for (let j = 0; j < elements; j++) {
+    for (let i = 0; i < typesize; i++) {
+      output[outputOffset + j * typesize + i] = block[i * elements + j];
+    }
+  }
+  output.set(block.subarray(elements * typesize), outputOffset + elements * typesize);
+}
+
+/**
+ * Decodes a Blosc 1 frame compressed with LZ4 or zlib, with or without
+ * byte shuffle.
+ */
+function decode_blosc(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const flags = bytes[2];
+  const typesize = bytes[3];
+  const nbytes = view.getUint32(4, true);
+  const blocksize = view.getUint32(8, true);
+  const output = new Uint8Array(nbytes);
+
+  if (flags & 0x02) {
+    output.set(bytes.subarray(16, 16 + nbytes)); // Stored without compression
+    return Promise.resolve(output);
+  }
+  if (flags & 0x04) {
+    return Promise.reject(viewer_error('unsupported-format', 'Blosc bit shuffle is not supported'));
+  }
+  const compressor = BLOSC_COMPRESSORS[(flags >> 5) & 0x07];
+  if (!compressor) {
+    return Promise.reject(viewer_error('unsupported-format', 'Only LZ4 and zlib Blosc chunks are supported'));
+  }
+
+  const shuffled = (flags & 0x01) && typesize > 1;
+  const dontSplit = flags & 0x10;
+  const blockCount = Math.ceil(nbytes / blocksize);
+  const blocks = [];
+
+  for (let j = 0; j < blockCount; j++) {
+    const blockSize = Math.min(blocksize, nbytes - j * blocksize);
+    const leftover = blockSize !== blocksize;
+    const splits = !dontSplit && typesize <= 16 && blockSize / typesize >= 128 && !leftover ? typesize : 1;
+    const splitSize = blockSize / splits;
+    let src = view.getInt32(16 + j * 4, true);
+    const block = new Uint8Array(blockSize);
+    const splitDecodes = [];
+
+    for (let k = 0; k < splits; k++) {
+      const compressedSize = view.getInt32(src, true);
+      src += 4;
+      const compressed = bytes.subarray(src, src + compressedSize);
+      src += compressedSize;
+      const target = block.subarray(k * splitSize, (k + 1) * splitSize);
+
+      if (compressedSize === splitSize) {
+        target.set(compressed);
+      } else if (compressor === 'lz4') {
+        lz4_decode_block(compressed, target);
+      } else {
+        splitDecodes.push(inflate_bytes(compressed, 'deflate').then((inflated) => target.set(inflated)));
+      }
+    }
+
+    blocks.push(Promise.all(splitDecodes).then(() => {
+      if (shuffled) {
+        blosc_unshuffle(block, typesize, output, j * blocksize);
+      } else {
+        output.set(block, j * blocksize);
+      }
+    }));
+  }
+  return Promise.all(blocks).then(() => output);
+}
+
+/**
+ * Decodes the bytes of one chunk with the compressor of its array.
+ */
+function decode_zarr_chunk(bytes, compressor) {
+  if (!compressor) {
+    return Promise.resolve(bytes);
+  }
+  switch (compressor.id) {
+    case 'zlib':
+      return inflate_bytes(bytes, 'deflate');
+    case 'gzip':
+      return inflate_bytes(bytes, 'gzip');
+    case 'blosc':
+      return decode_blosc(bytes);
+    default:
+      return Promise.reject(viewer_error('unsupported-format', `Zarr compressor "${compressor.id}" is not supported`));
+  }
+}
+
+/**
+ * Turns decoded chunk bytes into a typed array of the array's dtype
+ * ("<u2", ">f4", "|u1", ...).
+ */
+function zarr_chunk_values(bytes, dtype) {
+  const TypedArray = ZARR_TYPED_ARRAYS[dtype.slice(1)];
+  const copy = bytes.slice();
+  if (dtype[0] === '>' && TypedArray.BYTES_PER_ELEMENT > 1) {
+    const size = TypedArray.BYTES_PER_ELEMENT;
+    for (let offset = 0; offset < copy.length; offset += size) {
+      copy.subarray(offset, offset + size).reverse();
+    }
+  }
+  return new TypedArray(copy.buffer, 0, Math.floor(copy.length / TypedArray.BYTES_PER_ELEMENT));
+}
+
+/**********************************************************************/
+/***************** Level reading **************************************/
+/**********************************************************************/
+
+/**
+ * Reads one timepoint of a level into one itk-wasm shaped 3D image per
+ * channel. report() gets the chunks and bytes read so far.
+ */
+function read_zarr_level(fileMap, layout, levelIndex, timepoint, report, signal) {
+  const level = layout.levels[levelIndex];
+  const { shape, chunks, dtype, compressor, order, filters } = level.header;
+  const separator = level.header.dimension_separator || '.';
+  const { axisIndex } = layout;
+
+  if (!ZARR_TYPED_ARRAYS[dtype.slice(1)]) {
+    return Promise.reject(viewer_error('unsupported-format', `Zarr data type "${dtype}" is not supported`));
+  }
+  if (order === 'F' || (filters && filters.length)) {
+    return Promise.reject(viewer_error('unsupported-format', 'Zarr arrays in Fortran order or with filters are not supported'));
+  }
+
+  const extent = (axisName) => (axisIndex[axisName] === undefined ? 1 : shape[axisIndex[axisName]]);
+  const [sizeX, sizeY, sizeZ, sizeC] = ['x', 'y', 'z', 'c'].map(extent);
+  const TypedArray = ZARR_TYPED_ARRAYS[dtype.slice(1)];
+  const channelData = Array.from({ length: sizeC }, () =>
+    new TypedArray(sizeX * sizeY * sizeZ).fill(level.header.fill_value || 0));
+
+  // Every chunk covering the timepoint, as a list of chunk index tuples
+  const chunkRanges = shape.map((size, axis) => {
+    if (axis === axisIndex.t) {
+      const chunk = Math.floor(timepoint / chunks[axis]);
+      return [chunk];
+    }
+    return Array.from({ length: Math.ceil(size / chunks[axis]) }, (_, idx) => idx);
+  });
+  const chunkIndices = chunkRanges.reduce((tuples, range) =>
+    tuples.flatMap((tuple) => range.map((idx) => [...tuple, idx])), [[]]);
+  const chunkPath = (tuple) => `${level.path}/${tuple.join(separator)}`;
+  const totalBytes = chunkIndices.reduce((total, tuple) => {
+    const file = fileMap.get(chunkPath(tuple));
+    return total + (file ? file.size : 0);
+  }, 0);
+
+  // Strides of a chunk in C order
+  const chunkStrides = chunks.map((_, axis) => chunks.slice(axis + 1).reduce((a, b) => a * b, 1));
+  const coordinate = (tuple, axisName, local) => {
+    const axis = axisIndex[axisName];
+    return axis === undefined ? 0 : tuple[axis] * chunks[axis] + local;
+  };
+  const localRange = (tuple, axisName) => {
+    const axis = axisIndex[axisName];
+    if (axis === undefined) {
+      return 1;
+    }
+    return Math.min(chunks[axis], shape[axis] - tuple[axis] * chunks[axis]);
+  };
+
+  let chunksRead = 0;
+  let bytesRead = 0;
+  report({ stage: 'reading', fileCount: chunkIndices.length, filesRead: 0, totalBytes, bytesRead: 0 });
+
+  return chunkIndices.reduce((previous, tuple) => previous.then(() => {
+    throw_if_aborted(signal);
+    const file = fileMap.get(chunkPath(tuple));
+    // Missing chunks are left at the fill value
+    const decoded = file
+      ? file.arrayBuffer().then((buffer) => {
+        bytesRead += buffer.byteLength;
+        return decode_zarr_chunk(new Uint8Array(buffer), compressor);
+      })
+      : Promise.resolve(null);
+
+    return decoded.then((bytes) => {
+      chunksRead += 1;
+      report({ stage: 'reading', filesRead: chunksRead, bytesRead });
+      if (!bytes) {
+        return;
+      }
+      const values = zarr_chunk_values(bytes, dtype);
+      const localT = axisIndex.t === undefined ? 0 : timepoint - tuple[axisIndex.t] * chunks[axisIndex.t];
+      const offsetOf = (locals) => Object.entries(locals).reduce((offset, [axisName, local]) =>
+        (axisIndex[axisName] === undefined ? offset : offset + local * chunkStrides[axisIndex[axisName]]), 0);
+
+      const runLength = localRange(tuple, 'x');
+      for (let c = 0; c < localRange(tuple, 'c'); c++) {
+        const target = channelData[coordinate(tuple, 'c', c)];
+        for (let z = 0; z < localRange(tuple, 'z'); z++) {
+          for (let y = 0; y < localRange(tuple, 'y'); y++) {
+            const source = offsetOf({ t: localT, c, z, y, x: 0 });
+            const destination = ((coordinate(tuple, 'z', z) * sizeY) + coordinate(tuple, 'y', y)) * sizeX
+              + coordinate(tuple, 'x', 0);
+            target.set(values.subarray(source, source + runLength), destination);
+          }
+        }
+      }
+    });
+  }), Promise.resolve()).then(() => channelData.map((data) => ({
+    imageType: {
+      dimension: 3,
+      componentType: vtkArrayTypeToItkComponentType.get(TypedArray.name),
+      pixelType: 'Scalar',
+      components: 1,
+    },
+    name: level.path,
+    origin: level.origin,
+    spacing: level.spacing,
+    direction: new Float64Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+    size: [sizeX, sizeY, sizeZ],
+    data,
+  })));
+}
+
+/**
+ * Reads every timepoint of a level, one after the other. Resolves with one
+ * list of channel images (see read_zarr_level) per timepoint.
+ */
+function read_zarr_timepoints(fileMap, layout, levelIndex, report, signal) {
+  const tAxis = layout.axisIndex.t;
+  const timepointCount = tAxis === undefined ? 1 : layout.levels[levelIndex].header.shape[tAxis];
+  const timepointReport = (timepoint) => (timepointCount > 1
+    ? (update) => report({ ...update, timepoint, timepointCount })
+    : report);
+
+  return Array.from({ length: timepointCount }).reduce((previous, _, timepoint) => previous.then((timepoints) =>
+    read_zarr_level(fileMap, layout, levelIndex, timepoint, timepointReport(timepoint), signal)
+      .then((images) => [...timepoints, images])
+  ), Promise.resolve([]));
+}
+
+/**
+ * Reads an OME-Zarr folder, starting at a coarse level. Resolves with
+ * { parts: [{ image, frames, name, color }], multiscale }, with every
+ * timepoint of a channel in frames, where multiscale holds
+ * levels: [{ path, dimensions, spacing }], levelIndex, spacingUnit and
+ * loadLevel(levelIndex, onProgress, signal) resolving with new parts.
+ */
+function read_ome_zarr_image(files, name, report, signal) {
+  const { fileMap, rootName } = zarr_file_map(files);
+  const imageName = rootName || name;
+
+  return find_multiscales_group(fileMap, imageName)
+    .then(({ groupPath, attributes }) => read_multiscales(fileMap, groupPath, attributes, imageName))
+    .then((layout) => {
+      const partsOf = (timepoints) => timepoints[0].map((image, c) => {
+        const omero = layout.omeroChannels[c] || {};
+        return {
+          image,
+          frames: timepoints.map((images) => images[c]),
+          name: omero.label || (timepoints[0].length > 1 ? `${imageName} C${c + 1}` : imageName),
+          color: omero.color ? `#${omero.color}` : null,
+        };
+      });
+
+      // Levels go from finest to coarsest
+      const fitting = layout.levels.findIndex((level) =>
+        zarr_level_voxels(level, layout.axisIndex) <= OME_ZARR_START_VOXELS);
+      const startLevel = fitting === -1 ? layout.levels.length - 1 : fitting;
+
+      const multiscale = {
+        levels: layout.levels.map((level) => ({
+          path: level.path,
+          dimensions: ['x', 'y', 'z'].map((axisName) =>
+            (layout.axisIndex[axisName] === undefined ? 1 : level.header.shape[layout.axisIndex[axisName]])),
+          spacing: level.spacing,
+        })),
+        levelIndex: startLevel,
+        spacingUnit: layout.spacingUnit,
+        loadLevel(levelIndex, onProgress, levelSignal) {
+          const progress = { name: imageName, stage: 'reading' };
+          const levelReport = (update) => {
+            Object.assign(progress, update);
+            onProgress({ ...progress });
+          };
+          return read_zarr_timepoints(fileMap, layout, levelIndex, levelReport, levelSignal).then((timepoints) => {
+            multiscale.levelIndex = levelIndex;
+            return partsOf(timepoints);
+          });
+        },
+      };
+
+      return read_zarr_timepoints(fileMap, layout, startLevel, report, signal).then((timepoints) => ({
+        parts: partsOf(timepoints),
+        multiscale,
+      }));
+    });
+}
@@ -0,0 +1,388 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Transfer Functions **************/
+/************** Opacity and colour editors of the volume viewer ****/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * A transfer function is kept as plain points in the intensities of its
+ * channel, so it can be drawn, edited and written back to the vtk.js
+ * functions of a volumeProperty at any time:
+ *   { range: [min, max], opacityPoints: [[value, opacity]],
+ *     colorPoints: [[value, r, g, b]] }  (opacity and r, g, b in 0..1)
+ * The editor draws the opacity points over the intensity histogram of the
+ * channel and the colour points as a gradient below it, and reports every
+ * change so the viewer can render it right away.
+*/
+
+/**********************************************************************/
+/***************** Transfer functions *********************************/
+/**********************************************************************/
+
+/**
+ * The ramp the volume viewer starts with: transparent at the lowest
+ * intensity, opaque at the highest, in the picked colour throughout.
+ */
+function default_transfer_function(range, rgb) {
+  return {
+    range: [...range],
+    opacityPoints: [[range[0], 0], [range[1], 1]],
+    colorPoints: [[range[0], ...rgb]],
+  };
+}
+
+/**
+ * Writes the points of transferFunction into the scalar opacity and RGB
+ * transfer function of component 0 of volumeProperty.
+ */
+function apply_transfer_function(volumeProperty, transferFunction) {
+  const opacityFunction = volumeProperty.getScalarOpacity(0);
+  opacityFunction.removeAllPoints();
+  transferFunction.opacityPoints.forEach(([value, opacity]) => opacityFunction.addPoint(value, opacity));
+
+  const colorFunction = volumeProperty.getRGBTransferFunction(0);
+  colorFunction.removeAllPoints();
+  transferFunction.colorPoints.forEach(([value, r, g, b]) => colorFunction.addRGBPoint(value, r, g, b));
+}
+
+/**
+ * The colour of the gradient at value, constant beyond the first and last
+ * points like vtkColorTransferFunction.
+ */
+function color_at(colorPoints, value) {
+  const next = colorPoints.findIndex(([pointValue]) => pointValue >= value);
+  if (next === 0) {
+    return colorPoints[0].slice(1);
+  }
+  if (next === -1) {
+    return colorPoints[colorPoints.length - 1].slice(1);
+  }
+  const [x0, ...rgb0] = colorPoints[next - 1];
+  const [x1, ...rgb1] = colorPoints[next];
+  const t = x1 > x0 ? (value - x0) / (x1 - x0) : 0;
+  return rgb0.map((channel, idx) => channel + t * (rgb1[idx] - channel));
+}
+
+function rgb_to_hex(rgb) {
+  return `#${rgb.map((channel) => Math.round(Math.min(Math.max(channel, 0), 1) * 255)
+    .toString(16).padStart(2, '0')).join('')}`;
+}
+
+function hex_to_rgb(hex) {
+  return hex.match(/\w\w/g).map((x) => parseInt(x, 16) / 255);
+}
+
+/**********************************************************************/
+/***************** Intensity histograms *******************************/
+/**********************************************************************/
+
+const HISTOGRAM_BINS = 256;
+// Larger volumes are sampled at a regular stride
+const MAX_HISTOGRAM_SAMPLES = 4000000;
+
+/**
+ * Counts the voxels of the first component of imageData in bins evenly
+ * spread over range.
+ */
+function intensity_histogram(imageData, range, bins = HISTOGRAM_BINS) {
+  const scalars = imageData.getPointData().getScalars();
+  const values = scalars.getData();
+  const components = scalars.getNumberOfComponents();
+  const voxels = values.length / components;
+  const stride = Math.max(1, Math.ceil(voxels / MAX_HISTOGRAM_SAMPLES));
+  const [min, max] = range;
+  const scale = max > min ? bins / (max - min) : 0;
+
+  const counts = new Float64Array(bins);
+  for (let voxel = 0; voxel < voxels; voxel += stride) {
+    const bin = Math.floor((values[voxel * components] - min) * scale);
+    counts[Math.min(Math.max(bin, 0), bins - 1)] += 1;
+  }
+  return counts;
+}
+
+/**********************************************************************/
+/***************** Editor *********************************************/
+/**********************************************************************/
+
+const TF_EDITOR_WIDTH = 420;
+const TF_OPACITY_HEIGHT = 120;
+const TF_COLOR_HEIGHT = 18;
+const TF_MARKER_HEIGHT = 10;
+const TF_POINT_RADIUS = 5;
+
+/**
+ * Fills container with the editor of transferFunction, which it changes in
+ * place, and calls onChange(transferFunction, part) after every edit of its
+ * 'opacity' or 'color' part.
+ * In both canvases a click adds a point, dragging moves it and a right
+ * click or double click deletes it; clicking a colour point without moving
+ * it picks its colour. histogram is the output of intensity_histogram.
+ */
+function create_transfer_function_editor(container, transferFunction, histogram, onChange) {
+  const editor = $(`
+    <div class="tf_editor">
+      <label><input class="tf_log_scale" type="checkbox" checked> Log-scale histogram</label>
+      <canvas class="tf_opacity"></canvas>
+      <canvas class="tf_color"></canvas>
+      <input class="tf_color_picker" type="color">
+      <p class="tf_hint">Click to add a point, drag to move it, right-click or double-click to delete it.
+        Click a colour point to change its colour.</p>
+    </div>`).appendTo($(container).empty());
+  const opacityCanvas = editor.find('.tf_opacity')[0];
+  const colorCanvas = editor.find('.tf_color')[0];
+  const picker = editor.find('.tf_color_picker');
+  opacityCanvas.width = colorCanvas.width = TF_EDITOR_WIDTH;
+  opacityCanvas.height = TF_OPACITY_HEIGHT;
+  colorCanvas.height = TF_COLOR_HEIGHT + TF_MARKER_HEIGHT;
+
+  const { range, opacityPoints, colorPoints } = transferFunction;
+  const span = range[1] > range[0] ? range[1] - range[0] : 1;
+  const plotWidth = TF_EDITOR_WIDTH - 2 * TF_POINT_RADIUS;
+  const plotHeight = TF_OPACITY_HEIGHT - 2 * TF_POINT_RADIUS;
+  const toX = (value) => TF_POINT_RADIUS + ((value - range[0]) / span) * plotWidth;
+  const fromX = (x) => range[0] + Math.min(Math.max((x - TF_POINT_RADIUS) / plotWidth, 0), 1) * span;
+  const toY = (opacity) => TF_POINT_RADIUS + (1 - opacity) * plotHeight;
+  const fromY = (y) => Math.min(Math.max(1 - (y - TF_POINT_RADIUS) / plotHeight, 0), 1);
+
+  const gradient = (context) => {
+    const fill = context.createLinearGradient(toX(range[0]), 0, toX(range[1]), 0);
+    colorPoints.forEach(([value, ...rgb]) => {
+      fill.addColorStop(Math.min(Math.max((value - range[0]) / span, 0), 1), rgb_to_hex(rgb));
+    });
+    return fill;
+  };
+
+  const drawOpacity = () => {
+    const context = opacityCanvas.getContext('2d');
+    context.fillStyle = '#222';
+    context.fillRect(0, 0, opacityCanvas.width, opacityCanvas.height);
+
+    const logScale = editor.find('.tf_log_scale').is(':checked');
+    const height = (count) => (logScale ? Math.log1p(count) : count);
+    const tallest = Math.max(...histogram.map(height), 1);
+    const binWidth = plotWidth / histogram.length;
+    context.fillStyle = '#777';
+    histogram.forEach((count, bin) => {
+      const barHeight = (height(count) / tallest) * plotHeight;
+      context.fillRect(TF_POINT_RADIUS + bin * binWidth, TF_POINT_RADIUS + plotHeight - barHeight,
+        Math.max(binWidth, 1), barHeight);
+    });
+
+    // The area under the opacity curve is filled with the colours it maps to
+    context.beginPath();
+    context.moveTo(toX(range[0]), toY(0));
+    context.lineTo(toX(range[0]), toY(opacityPoints[0][1]));
+    opacityPoints.forEach(([value, opacity]) => context.lineTo(toX(value), toY(opacity)));
+    context.lineTo(toX(range[1]), toY(opacityPoints[opacityPoints.length - 1][1]));
+    context.lineTo(toX(range[1]), toY(0));
+    context.globalAlpha = 0.45;
+    context.fillStyle = gradient(context);
+    context.fill();
+    context.globalAlpha = 1;
+
+    context.strokeStyle = '#fff';
+    context.lineWidth = 1.5;
+    context.beginPath();
+    opacityPoints.forEach(([value, opacity], idx) => {
+      context[idx ? 'lineTo' : 'moveTo'](toX(value), toY(opacity));
+    });
+    context.stroke();
+    context.fillStyle = '#ffd700';
+    opacityPoints.forEach(([value, opacity]) => {
+      context.beginPath();
+      context.arc(toX(value), toY(opacity), TF_POINT_RADIUS, 0, 2 * Math.PI);
+      context.fill();
+    });
+  };
+
+  const drawColor = () => {
+    const context = colorCanvas.getContext('2d');
+    context.clearRect(0, 0, colorCanvas.width, colorCanvas.height);
+    context.fillStyle = gradient(context);
+    context.fillRect(0, 0, colorCanvas.width, TF_COLOR_HEIGHT);
+    colorPoints.forEach(([value, ...rgb]) => {
+      const x = toX(value);
+      context.beginPath();
+      context.moveTo(x, TF_COLOR_HEIGHT);
+      context.lineTo(x - TF_POINT_RADIUS, colorCanvas.height - 1);
+      context.lineTo(x + TF_POINT_RADIUS, colorCanvas.height - 1);
+      context.closePath();
+      context.fillStyle = rgb_to_hex(rgb);
+      context.fill();
+      context.strokeStyle = '#fff';
+      context.stroke();
+    });
+  };
+
+  const changed = (part) => {
+    drawOpacity();
+    drawColor();
+    onChange(transferFunction, part);
+  };
+
+  const canvasPosition = (canvas, event) => {
+    const rect = canvas.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+  };
+  const opacityPointAt = ([x, y]) => opacityPoints.findIndex(([value, opacity]) =>
+    Math.hypot(toX(value) - x, toY(opacity) - y) <= 2 * TF_POINT_RADIUS);
+  const colorPointAt = ([x]) => colorPoints.findIndex(([value]) => Math.abs(toX(value) - x) <= TF_POINT_RADIUS);
+
+  // A point moves between its neighbours, so the points stay sorted
+  const moveWithin = (points, index, value) => {
+    const lower = index > 0 ? points[index - 1][0] : range[0];
+    const upper = index < points.length - 1 ? points[index + 1][0] : range[1];
+    points[index][0] = Math.min(Math.max(value, lower), upper);
+  };
+  const insertSorted = (points, point) => {
+    const index = points.findIndex(([value]) => value > point[0]);
+    const at = index === -1 ? points.length : index;
+    points.splice(at, 0, point);
+    return at;
+  };
+
+  let drag = null;
+  $(opacityCanvas).on('mousedown', (event) => {
+    if (event.button !== 0) {
+      return;
+    }
+    const position = canvasPosition(opacityCanvas, event);
+    let index = opacityPointAt(position);
+    if (index === -1) {
+      index = insertSorted(opacityPoints, [fromX(position[0]), fromY(position[1])]);
+      changed('opacity');
+    }
+    drag = { canvas: opacityCanvas, index };
+  }).on('contextmenu dblclick', (event) => {
+    event.preventDefault();
+    const index = opacityPointAt(canvasPosition(opacityCanvas, event));
+    if (index !== -1 && opacityPoints.length > 2) {
+      opacityPoints.splice(index, 1);
+      changed('opacity');
+    }
+  });
+
+  $(colorCanvas).on('mousedown', (event) => {
+    if (event.button !== 0) {
+      return;
+    }
+    const position = canvasPosition(colorCanvas, event);
+    let index = colorPointAt(position);
+    if (index === -1) {
+      const value = fromX(position[0]);
+      index = insertSorted(colorPoints, [value, ...color_at(colorPoints, value)]);
+      changed('color');
+    }
+    drag = { canvas: colorCanvas, index, moved: false };
+  }).on('contextmenu dblclick', (event) => {
+    event.preventDefault();
+    const index = colorPointAt(canvasPosition(colorCanvas, event));
+    if (index !== -1 && colorPoints.length > 1) {
+      colorPoints.splice(index, 1);
+      changed('color');
+    }
+  });
+
+  $(document).on('mousemove.tf_editor', (event) => {
+    if (!drag) {
+      return;
+    }
+    const [x, y] = canvasPosition(drag.canvas, event);
+    if (drag.canvas === opacityCanvas) {
+      moveWithin(opacityPoints, drag.index, fromX(x));
+      opacityPoints[drag.index][1] = fromY(y);
+    } else {
+      moveWithin(colorPoints, drag.index, fromX(x));
+      drag.moved = true;
+    }
+    changed(drag.canvas === opacityCanvas ? 'opacity' : 'color');
+  }).on('mouseup.tf_editor', () => {
+    if (drag && drag.canvas === colorCanvas && !drag.moved) {
+      picker.data('index', drag.index).val(rgb_to_hex(colorPoints[drag.index].slice(1)));
+      picker[0].click();
+    }
+    drag = null;
+  });
+
+  picker.on('input', function() {
+    const index = picker.data('index');
+    if (colorPoints[index]) {
+      colorPoints[index].splice(1, 3, ...hex_to_rgb(this.value));
+      changed('color');
+    }
+  });
+  editor.find('.tf_log_scale').on('change', drawOpacity);
+
+  drawOpacity();
+  drawColor();
+
+  return {
+    transferFunction,
+    // After the points were changed from outside the editor
+    redraw() {
+      drawOpacity();
+      drawColor();
+    },
+    // After the channel was given another image
+    setHistogram(counts) {
+      histogram = counts;
+      drawOpacity();
+    },
+    remove() {
+      $(document).off('.tf_editor');
+      editor.remove();
+    },
+  };
+}
+
+/**********************************************************************/
+/***************** Editor panel of the volume viewer ******************/
+/**********************************************************************/
+
+let transfer_function_editor = null;
+
+/**
+ * Shows the editor of one volume channel in #tf_editor, replacing the one
+ * of any other channel. The histogram is counted the first time a channel
+ * is edited and kept with its transfer function.
+ */
+function show_transfer_function_editor(channelName, transferFunction, imageData, onChange) {
+  hide_transfer_function_editor();
+  if (!transferFunction.histogram) {
+    transferFunction.histogram = Array.from(intensity_histogram(imageData, transferFunction.range));
+  }
+  const panel = $('#tf_editor').show();
+  transfer_function_editor = create_transfer_function_editor($('<div>').appendTo(panel),
+    transferFunction, transferFunction.histogram, onChange);
+  $('<p class="tf_title">').text(`Transfer function of ${channelName}`).prependTo(panel);
+  $('<button class="tf_close">Close</button>').appendTo(panel).on('click', hide_transfer_function_editor);
+}
+
+function redraw_transfer_function_editor() {
+  if (transfer_function_editor) {
+    transfer_function_editor.redraw();
+  }
+}
+
+/**
+ * Drops the histogram kept with transferFunction once its channel shows
+ * another image (resolution level or timepoint). It is counted again the
+ * next time the channel is edited, or now if its editor is open.
+ */
+function invalidate_transfer_function_histogram(transferFunction, imageData) {
+  delete transferFunction.histogram;
+  if (transfer_function_editor && transfer_function_editor.transferFunction === transferFunction) {
+    transferFunction.histogram = Array.from(intensity_histogram(imageData, transferFunction.range));
+    transfer_function_editor.setHistogram(transferFunction.histogram);
+  }
+}
+
+function hide_transfer_function_editor() {
+  if (transfer_function_editor) {
+    transfer_function_editor.remove();
+    transfer_function_editor = null;
+  }
+  $('#tf_editor').empty().hide();
+}
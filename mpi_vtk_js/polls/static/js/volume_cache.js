@@ -0,0 +1,310 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Volume Cache ********************/
+/************** Decoded channels kept in IndexedDB ******************/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * Decoding a large DICOM or TIFF stack takes much longer than reading it
+ * back, so load_image_channels stores the vtkImageData of every channel it
+ * decodes here, keyed by a SHA-256 hash of the channel's files. The small
+ * "entries" store lists what is cached; the "volumes" store holds the voxel
+ * data and is only read on a hit.
+*/
+
+/**********************************************************************/
+/***************** IndexedDB access ***********************************/
+/**********************************************************************/
+
+const VOLUME_CACHE_DB_NAME = 'image-in-volume-cache';
+const VOLUME_CACHE_DB_VERSION = 1;
+
+let volume_cache_db = null;
+
+function open_volume_cache() {
+  if (!volume_cache_db) {
+    volume_cache_db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(VOLUME_CACHE_DB_NAME, VOLUME_CACHE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('entries', { keyPath: 'key' });
+        request.result.createObjectStore('volumes', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allowed storage
+    volume_cache_db.catch(() => {
+      volume_cache_db = null;
+    });
+  }
+  return volume_cache_db;
+}
+
+/**
+ * Runs action(stores) in one transaction over the named stores and resolves
+ * with the result of the request action returns, once the transaction is
+ * committed.
+ */
+function volume_cache_transaction(storeNames, mode, action) {
+  return open_volume_cache().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach((storeName) => {
+      stores[storeName] = transaction.objectStore(storeName);
+    });
+    const request = action(stores);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+}
+
+/**********************************************************************/
+/***************** Cache keys *****************************************/
+/**********************************************************************/
+
+function bytes_to_hex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes the content and path of every file of a channel, one file at a
+ * time, together with the loader settings that change the decoded result.
+ * File paths are part of the key because they set the slice and timepoint
+ * order.
+ * report() gets a 'hashing' progress with the counters of a channel being
+ * read.
+ */
+function volume_cache_key(files, settings, report, signal) {
+  let bytesRead = 0;
+  report({ stage: 'hashing', filesRead: 0, bytesRead: 0 });
+
+  return files.reduce((previous, file, idx) => previous.then((hashes) => {
+    throw_if_aborted(signal);
+    return file.arrayBuffer()
+      .then((buffer) => crypto.subtle.digest('SHA-256', buffer))
+      .then((digest) => {
+        bytesRead += file.size;
+        report({ stage: 'hashing', filesRead: idx + 1, bytesRead });
+        return [...hashes, `${file_relative_path(file)}:${bytes_to_hex(digest)}`];
+      });
+  }), Promise.resolve([])).then((hashes) => {
+    const text = [JSON.stringify(settings), ...hashes.sort()].join('\n');
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  }).then(bytes_to_hex);
+}
+
+/**********************************************************************/
+/***************** Reading and storing volumes ************************/
+/**********************************************************************/
+
+function serialize_volume_parts(parts) {
+  return parts.map(({ name, color, frames }) => ({
+    name,
+    color,
+    frames: frames.map((imageData) => {
+      const scalars = imageData.getPointData().getScalars();
+      return {
+        dimensions: imageData.getDimensions(),
+        spacing: imageData.getSpacing(),
+        origin: imageData.getOrigin(),
+        direction: Array.from(imageData.getDirection()),
+        numberOfComponents: scalars.getNumberOfComponents(),
+        values: scalars.getData(),
+      };
+    }),
+  }));
+}
+
+function deserialize_volume_parts(parts) {
+  return parts.map(({ name, color, frames }) => ({
+    name,
+    color,
+    frames: frames.map((frame) => {
+      const imageData = vtk.Common.DataModel.vtkImageData.newInstance({
+        origin: frame.origin,
+        spacing: frame.spacing,
+      });
+      imageData.setDirection(frame.direction);
+      imageData.setDimensions(...frame.dimensions);
+      imageData.getPointData().setScalars(vtk.Common.Core.vtkDataArray.newInstance({
+        name: 'Scalars',
+        values: frame.values,
+        numberOfComponents: frame.numberOfComponents,
+      }));
+      return imageData;
+    }),
+  }));
+}
+
+/**
+ * Resolves with { parts: [{ name, color, frames: [vtkImageData] }],
+ * spacingUnit, bytes } for a cached channel, or null on a miss. A hit
+ * moves the entry to the end of the eviction order.
+ */
+function read_cached_volume(key) {
+  return volume_cache_transaction(['volumes'], 'readonly', (stores) => stores.volumes.get(key))
+    .then((volume) => {
+      if (!volume) {
+        return null;
+      }
+      volume_cache_transaction(['entries'], 'readwrite', (stores) => {
+        const request = stores.entries.get(key);
+        request.onsuccess = () => {
+          if (request.result) {
+            stores.entries.put({ ...request.result, lastUsedAt: Date.now() });
+          }
+        };
+        return request;
+      }).catch(() => {});
+      return { parts: deserialize_volume_parts(volume.parts), spacingUnit: volume.spacingUnit, bytes: volume.bytes };
+    });
+}
+
+function is_quota_error(error) {
+  return error && (error.name === 'QuotaExceededError' || error.name === 'UnknownError');
+}
+
+/**
+ * Stores the decoded parts of a channel. When the browser runs out of
+ * storage quota, the least recently used entries are evicted until the
+ * volume fits or nothing else is left to evict.
+ */
+function store_cached_volume(key, info, parts) {
+  const bytes = channel_bytes(parts);
+  const now = Date.now();
+  const entry = {
+    key,
+    name: info.name,
+    format: info.format,
+    fileCount: info.fileCount,
+    channelCount: parts.length,
+    timepointCount: parts.length ? parts[0].frames.length : 0,
+    bytes,
+    createdAt: now,
+    lastUsedAt: now,
+  };
+  const volume = { key, spacingUnit: info.spacingUnit, bytes, parts: serialize_volume_parts(parts) };
+
+  const attempt = () => volume_cache_transaction(['entries', 'volumes'], 'readwrite', (stores) => {
+    stores.volumes.put(volume);
+    return stores.entries.put(entry);
+  }).catch((error) => {
+    if (!is_quota_error(error)) {
+      throw error;
+    }
+    return list_cached_volumes().then((entries) => {
+      const oldest = entries.filter((cached) => cached.key !== key)
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt)[0];
+      if (!oldest) {
+        throw error;
+      }
+      return delete_cached_volume(oldest.key).then(attempt);
+    });
+  });
+  return attempt();
+}
+
+/**
+ * Resolves with the cache entries, most recently used first:
+ * [{ key, name, format, fileCount, channelCount, timepointCount, bytes,
+ * createdAt, lastUsedAt }].
+ */
+function list_cached_volumes() {
+  return volume_cache_transaction(['entries'], 'readonly', (stores) => stores.entries.getAll())
+    .then((entries) => entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt));
+}
+
+function delete_cached_volume(key) {
+  return volume_cache_transaction(['entries', 'volumes'], 'readwrite', (stores) => {
+    stores.volumes.delete(key);
+    return stores.entries.delete(key);
+  });
+}
+
+function clear_volume_cache() {
+  return volume_cache_transaction(['entries', 'volumes'], 'readwrite', (stores) => {
+    stores.volumes.clear();
+    return stores.entries.clear();
+  });
+}
+
+/**********************************************************************/
+/***************** Cache problems *************************************/
+/**********************************************************************/
+
+// The cache only saves time, so a failure never stops a load; the latest
+// ones are listed in the cache manager panel instead
+const MAX_VOLUME_CACHE_PROBLEMS = 10;
+
+let volume_cache_problems = [];
+
+/**
+ * Records that the cache could not be used for a channel and flags the
+ * "Manage cache" button until the panel has been opened.
+ */
+function report_volume_cache_problem(message, error) {
+  const reason = error && error.message ? error.message : String(error);
+  volume_cache_problems = [`${new Date().toLocaleTimeString()}: ${message} (${reason})`, ...volume_cache_problems]
+    .slice(0, MAX_VOLUME_CACHE_PROBLEMS);
+  $('#volume_cache_manage').addClass('volume_cache_warning')
+    .attr('title', 'The volume cache could not be used, open the cache manager for details');
+}
+
+/**********************************************************************/
+/***************** Cache manager panel ********************************/
+/**********************************************************************/
+
+/**
+ * Shows the cached volumes with their size and last use, the storage the
+ * browser grants the page, the latest cache problems, and buttons to evict
+ * one entry or all of them.
+ */
+function show_volume_cache_panel() {
+  const dialog = $(`
+    <div id="volume_cache_dialog" class="loader_dialog">
+      <div class="loader_dialog_content">
+        <p><b>Volume cache</b></p>
+        <p class="loader_dialog_hint"></p>
+        <table><tbody></tbody></table>
+        <ul class="volume_cache_problems"></ul>
+        <button id="volume_cache_clear">Clear all</button>
+        <button id="volume_cache_close">Close</button>
+      </div>
+    </div>`).appendTo('body');
+  const hint = dialog.find('.loader_dialog_hint');
+  const tbody = dialog.find('tbody');
+
+  const problems = dialog.find('.volume_cache_problems');
+  volume_cache_problems.forEach((problem) => problems.append($('<li>').text(problem)));
+  $('#volume_cache_manage').removeClass('volume_cache_warning').removeAttr('title');
+
+  const refresh = () => Promise.all([
+    list_cached_volumes(),
+    navigator.storage && navigator.storage.estimate ? navigator.storage.estimate() : Promise.resolve(null),
+  ]).then(([entries, estimate]) => {
+    const total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    hint.text(`${entries.length} cached channel${entries.length === 1 ? '' : 's'}, ${format_bytes(total)}`
+      + (estimate ? ` (browser storage: ${format_bytes(estimate.usage)} of ${format_bytes(estimate.quota)} used)` : '')
+      + '. Evict a channel to enter its voxel spacing again.');
+    tbody.empty();
+    entries.forEach((entry) => {
+      const row = $('<tr><td class="volume_cache_name"></td><td class="volume_cache_size"></td>'
+        + '<td class="volume_cache_used"></td><td><button class="volume_cache_evict">Evict</button></td></tr>');
+      row.find('.volume_cache_name').text(entry.name)
+        .attr('title', `${entry.fileCount} ${FILE_FORMAT_LABELS[entry.format] || entry.format} files, `
+          + `${entry.channelCount} channel(s), ${entry.timepointCount} timepoint(s)`);
+      row.find('.volume_cache_size').text(format_bytes(entry.bytes));
+      row.find('.volume_cache_used').text(new Date(entry.lastUsedAt).toLocaleString());
+      row.find('.volume_cache_evict').on('click', () => delete_cached_volume(entry.key).then(refresh));
+      tbody.append(row);
+    });
+  }).catch((error) => {
+    hint.text(`The volume cache is not available: ${error.message}`);
+  });
+
+  dialog.find('#volume_cache_clear').on('click', () => clear_volume_cache().then(refresh));
+  dialog.find('#volume_cache_close').on('click', () => dialog.remove());
+  return refresh();
+}
@@ -0,0 +1,254 @@
+/********************************************************************/
+/********************************************************************/
+/************** IMAGE-IN VISUALIZER Volume Presets ******************/
+/************** Named looks of the volume channels ******************/
+/********************************************************************/
+/********************************************************************/
+
+/*
+ * A preset holds everything that sets the look of one volume channel:
+ *   { name, opacityPoints: [[t, opacity]], colorPoints: [[t, r, g, b]],
+ *     shade, ambient, diffuse, specular, specularPower, blendMode,
+ *     sampleDistance }
+ * Points are placed at t in 0..1 of the intensity range of the channel
+ * rather than at intensities, so a preset made on one channel applies to
+ * any other. Saved presets live in localStorage and can be exported to a
+ * JSON file and imported on another machine.
+*/
+
+/**********************************************************************/
+/***************** Presets ********************************************/
+/**********************************************************************/
+
+const VOLUME_PRESETS_STORAGE_KEY = 'image-in-volume-presets';
+
+const BUILT_IN_VOLUME_PRESETS = [
+  {
+    name: 'MIP fire',
+    opacityPoints: [[0, 0], [1, 1]],
+    colorPoints: [[0, 0, 0, 0], [0.35, 0.85, 0.1, 0], [0.7, 1, 0.75, 0], [1, 1, 1, 1]],
+    shade: false,
+    ambient: 0.2,
+    diffuse: 0.7,
+    specular: 0.3,
+    specularPower: 8,
+    blendMode: 1,
+    sampleDistance: 0.25,
+  },
+  {
+    name: 'Soft tissue-like',
+    opacityPoints: [[0, 0], [0.2, 0], [0.4, 0.15], [0.6, 0.3], [1, 0.6]],
+    colorPoints: [[0, 0.55, 0.25, 0.15], [0.5, 0.88, 0.6, 0.5], [1, 1, 0.94, 0.85]],
+    shade: true,
+    ambient: 0.2,
+    diffuse: 0.9,
+    specular: 0.2,
+    specularPower: 10,
+    blendMode: 0,
+    sampleDistance: 0.25,
+  },
+  {
+    // Electron micrographs show membranes and organelles dark on light
+    name: 'EM inverted',
+    opacityPoints: [[0, 1], [0.3, 0.6], [0.6, 0], [1, 0]],
+    colorPoints: [[0, 1, 1, 1], [1, 0, 0, 0]],
+    shade: true,
+    ambient: 0.3,
+    diffuse: 0.7,
+    specular: 0.1,
+    specularPower: 8,
+    blendMode: 0,
+    sampleDistance: 0.25,
+  },
+];
+
+function is_built_in_volume_preset(name) {
+  return BUILT_IN_VOLUME_PRESETS.some((preset) => preset.name === name);
+}
+
+/**
+ * The presets saved in this browser, or none when storage is not
+ * available (private windows, disabled site data).
+ */
+function saved_volume_presets() {
+  try {
+    return JSON.parse(localStorage.getItem(VOLUME_PRESETS_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function store_volume_presets(presets) {
+  localStorage.setItem(VOLUME_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+function find_volume_preset(name) {
+  return [...BUILT_IN_VOLUME_PRESETS, ...saved_volume_presets()].find((preset) => preset.name === name) || null;
+}
+
+/**
+ * Saves preset under its name, replacing a saved preset of the same name.
+ * Built-in presets cannot be replaced.
+ */
+function save_volume_preset(preset) {
+  if (is_built_in_volume_preset(preset.name)) {
+    throw viewer_error('invalid-preset', `"${preset.name}" is the name of a built-in preset`);
+  }
+  store_volume_presets([...saved_volume_presets().filter((saved) => saved.name !== preset.name), preset]);
+}
+
+function delete_volume_preset(name) {
+  store_volume_presets(saved_volume_presets().filter((preset) => preset.name !== name));
+}
+
+/**********************************************************************/
+/***************** Channels and presets *******************************/
+/**********************************************************************/
+
+/**
+ * Makes a preset of one volume channel from its transfer function (see
+ * transfer_function_editor.js), its volumeProperty and its volumeMapper.
+ */
+function volume_preset_from_channel(name, transferFunction, volumeProperty, volumeMapper) {
+  const [min, max] = transferFunction.range;
+  const span = max > min ? max - min : 1;
+  const relative = (value) => (value - min) / span;
+  return {
+    name,
+    opacityPoints: transferFunction.opacityPoints.map(([value, opacity]) => [relative(value), opacity]),
+    colorPoints: transferFunction.colorPoints.map(([value, ...rgb]) => [relative(value), ...rgb]),
+    shade: volumeProperty.getShade(),
+    ambient: volumeProperty.getAmbient(),
+    diffuse: volumeProperty.getDiffuse(),
+    specular: volumeProperty.getSpecular(),
+    specularPower: volumeProperty.getSpecularPower(),
+    blendMode: volumeMapper.getBlendMode(),
+    sampleDistance: volumeMapper.getSampleDistance(),
+  };
+}
+
+/**
+ * Applies preset to one volume channel. The points of transferFunction are
+ * replaced in place, so an open transfer function editor keeps editing
+ * them.
+ */
+function apply_volume_preset(preset, transferFunction, volumeProperty, volumeMapper) {
+  const [min, max] = transferFunction.range;
+  const absolute = (t) => min + t * (max - min);
+  transferFunction.opacityPoints.splice(0, Infinity,
+    ...preset.opacityPoints.map(([t, opacity]) => [absolute(t), opacity]));
+  transferFunction.colorPoints.splice(0, Infinity,
+    ...preset.colorPoints.map(([t, ...rgb]) => [absolute(t), ...rgb]));
+  apply_transfer_function(volumeProperty, transferFunction);
+
+  volumeProperty.setShade(preset.shade);
+  volumeProperty.setAmbient(preset.ambient);
+  volumeProperty.setDiffuse(preset.diffuse);
+  volumeProperty.setSpecular(preset.specular);
+  volumeProperty.setSpecularPower(preset.specularPower);
+  volumeMapper.setBlendMode(preset.blendMode);
+  volumeMapper.setSampleDistance(preset.sampleDistance);
+}
+
+/**********************************************************************/
+/***************** Import and export **********************************/
+/**********************************************************************/
+
+/**
+ * Lists what is wrong with a preset read from a file; an empty list means
+ * it can be used.
+ */
+function volume_preset_problems(preset, idx) {
+  const label = preset && typeof preset.name === 'string' && preset.name ? `"${preset.name}"` : `Preset ${idx + 1}`;
+  if (!preset || typeof preset !== 'object') {
+    return [`${label} is not an object`];
+  }
+  const problems = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const isPoints = (points, length, minimum) => Array.isArray(points) && points.length >= minimum
+    && points.every((point) => Array.isArray(point) && point.length === length && point.every(isNumber));
+
+  if (typeof preset.name !== 'string' || !preset.name) {
+    problems.push(`${label} has no name`);
+  } else if (is_built_in_volume_preset(preset.name)) {
+    problems.push(`${label} has the name of a built-in preset`);
+  }
+  if (!isPoints(preset.opacityPoints, 2, 2)) {
+    problems.push(`${label} needs at least two opacity points [t, opacity]`);
+  }
+  if (!isPoints(preset.colorPoints, 4, 1)) {
+    problems.push(`${label} needs at least one colour point [t, r, g, b]`);
+  }
+  if (typeof preset.shade !== 'boolean') {
+    problems.push(`${label} has no shade setting`);
+  }
+  ['ambient', 'diffuse', 'specular', 'specularPower', 'sampleDistance'].forEach((key) => {
+    if (!isNumber(preset[key])) {
+      problems.push(`${label} has no ${key}`);
+    }
+  });
+  if (!Number.isInteger(preset.blendMode)) {
+    problems.push(`${label} has no blend mode`);
+  }
+  return problems;
+}
+
+/**
+ * Reads the presets of a JSON file (one preset or a list of them) and
+ * saves them, replacing saved presets of the same names. Resolves with the
+ * names of the imported presets.
+ */
+function import_volume_presets(file) {
+  return file.text().then((text) => {
+    let presets;
+    try {
+      presets = JSON.parse(text);
+    } catch (error) {
+      throw viewer_error('invalid-preset', `${file.name} is not a JSON file`, [error.message]);
+    }
+    presets = Array.isArray(presets) ? presets : [presets];
+    const problems = presets.flatMap(volume_preset_problems);
+    if (problems.length) {
+      throw viewer_error('invalid-preset', `${file.name} holds presets that cannot be imported`, problems);
+    }
+    presets.forEach(save_volume_preset);
+    return presets.map((preset) => preset.name);
+  });
+}
+
+/**
+ * Downloads presets as a JSON file that import_volume_presets reads back.
+ */
+function export_volume_presets(presets, fileName = 'image-in-presets.json') {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(presets, null, 2)], { type: 'application/json' }));
+  $('<a>').attr({ href: url, download: fileName }).appendTo('body')
+    .each((idx, link) => link.click())
+    .remove();
+  URL.revokeObjectURL(url);
+}
+
+/**********************************************************************/
+/***************** Preset panel ***************************************/
+/**********************************************************************/
+
+/**
+ * Fills #preset_name with the built-in and saved presets, keeping the
+ * selected one when it is still there.
+ */
+function show_volume_presets(selected = $('#preset_name').val()) {
+  const select = $('#preset_name').empty();
+  const group = (label, presets) => {
+    const optgroup = $('<optgroup>').attr('label', label).appendTo(select);
+    presets.forEach((preset) => optgroup.append($('<option>').attr('value', preset.name).text(preset.name)));
+  };
+  const saved = saved_volume_presets();
+  group('Built-in', BUILT_IN_VOLUME_PRESETS);
+  if (saved.length) {
+    group('Saved', saved);
+  }
+  if (selected && find_volume_preset(selected)) {
+    select.val(selected);
+  }
+  $('#preset_export').prop('disabled', !saved.length);
+  $('#preset_delete').prop('disabled', is_built_in_volume_preset(select.val()));
+}
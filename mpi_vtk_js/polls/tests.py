@@ -1,3 +1,19 @@
-from django.test import TestCase
+import shutil
+import subprocess
+from pathlib import Path
+from unittest import skipUnless
 
-# Create your tests here.
+from django.test import SimpleTestCase
+
+# The viewer runs in the browser, so its scripts are checked with Node's
+# test runner (node --test); see js_tests/browser_scripts.js
+JS_TESTS_DIR = Path(__file__).resolve().parent / 'js_tests'
+
+
+@skipUnless(shutil.which('node'), 'Node.js is needed to check the viewer scripts')
+class ViewerScriptTests(SimpleTestCase):
+
+    def test_viewer_scripts(self):
+        test_files = sorted(str(path) for path in JS_TESTS_DIR.glob('*.test.js'))
+        result = subprocess.run(['node', '--test', *test_files], capture_output=True, text=True, timeout=300)
+        self.assertEqual(result.returncode, 0, result.stdout + result.stderr)
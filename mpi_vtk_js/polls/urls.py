@@ -5,6 +5,8 @@ from . import views
 app_name = 'polls'
 urlpatterns = [
     path('', views.IndexView, name='index'),
+    path('datasets/', views.DatasetListView, name='dataset_list'),
+    path('datasets/<str:name>/', views.DatasetFilesView, name='dataset_files'),
     path('<int:pk>/', views.DetailView.as_view(), name='detail'),
     path('<int:pk>/results/', views.ResultsView.as_view(), name='results'),
     path('<int:question_id>/vote/', views.vote, name='vote'),
@@ -1,4 +1,8 @@
-from django.http import HttpResponseRedirect
+from pathlib import Path
+from urllib.parse import quote
+
+from django.conf import settings
+from django.http import Http404, HttpResponseRedirect, JsonResponse
 from django.shortcuts import get_object_or_404, render
 from django.urls import reverse
 from django.views import generic
@@ -10,6 +14,50 @@ def IndexView(request):
     return render(request, 'polls/Final_3D_viewer_html_file.html')
 
 
+# Dataset library: every top-level folder or file under MEDIA_ROOT is one
+# dataset, laid out like a folder picked in the viewer (one sub-folder per
+# channel). The files themselves are served from MEDIA_URL.
+
+def _dataset_files(entry):
+    paths = sorted(entry.rglob('*')) if entry.is_dir() else [entry]
+    media_root = Path(settings.MEDIA_ROOT)
+    files = []
+    for path in paths:
+        if path.is_file():
+            relative = path.relative_to(media_root).as_posix()
+            files.append({
+                'path': relative,
+                'url': settings.MEDIA_URL + quote(relative),
+                'size': path.stat().st_size,
+            })
+    return files
+
+
+def DatasetListView(request):
+    media_root = Path(settings.MEDIA_ROOT)
+    datasets = []
+    if media_root.is_dir():
+        for entry in sorted(media_root.iterdir(), key=lambda path: path.name.lower()):
+            if entry.name.startswith('.'):
+                continue
+            files = _dataset_files(entry)
+            datasets.append({
+                'name': entry.name,
+                'fileCount': len(files),
+                'size': sum(file['size'] for file in files),
+                'url': reverse('polls:dataset_files', args=(entry.name,)),
+            })
+    return JsonResponse({'datasets': datasets})
+
+
+def DatasetFilesView(request, name):
+    media_root = Path(settings.MEDIA_ROOT).resolve()
+    entry = (media_root / name).resolve()
+    if name.startswith('.') or entry.parent != media_root or not entry.exists():
+        raise Http404('No dataset named "%s"' % name)
+    return JsonResponse({'name': name, 'files': _dataset_files(media_root / name)})
+
+
 class DetailView(generic.DetailView):
     model = Question
     template_name = 'polls/detail.html'